@@ -402,6 +402,7 @@ class ButtonControl extends BaseControl {
         this.width = config.width || 80;
         this.height = config.height || 28;
         this.onClick = config.onClick || (() => {});
+        this.onRelease = config.onRelease || null;
         this.isActive = config.isActive || (() => false);
         this.autoSize = config.autoSize || false;
         this.padding = config.padding || 20; // Horizontal padding (10px on each side)
@@ -28,6 +28,8 @@ class PianoKeyboard {
         this.scrollOffset = 0;
         this.octaveOffset = 0;
         this.keyHeight = 0;
+        // The pedal is down while the Sustain switch is on or the space bar is held
+        this.sustain = { isOn: false, isLatched: false, isSpaceHeld: false };
         
         // --- Settings ---
         this.settings = {
@@ -37,7 +39,10 @@ class PianoKeyboard {
             pitchBend: false,
             velocityByPos: false,
             keyWidthPercentage: 100,
-            scaleSettings: { root: 0, scale: 'None', action: 'None' },
+            scaleSettings: { root: 0, scale: 'None', action: 'None' }, // scale is a type from the synth's scale catalog
+            customScales: [], // User-defined scales, { type: 'user:<name>', fullName, notes }
+            chordPads: this.getChordPadPresets()['Default'],
+            arpeggiator: { enabled: false, mode: 'Up', rate: 4, octaves: 1, gate: 50, latch: false },
         };
 
         this.drumMachineState = {
@@ -49,6 +54,26 @@ class PianoKeyboard {
             nextStepTime: 0
         };
         this.drumMachineTimer = null;
+        this.arpeggiatorState = {
+            notes: [],              // { note, velocity } in the order they were played
+            heldNotes: new Set(),   // Notes still held down, so latch knows when a new chord starts
+            routedNotes: new Set(), // '<device>:<note>' for keys and pads whose note-on went to the arpeggiator
+            step: 0,
+            nextStepTime: 0,
+            soundingNote: null,
+            timer: null,
+            gateTimer: null,
+        };
+        // Web MIDI ports, see enableMidiDevices(); the internal synth is an output like any other
+        this.midiDevices = {
+            synth: null,
+            isAvailable: false,
+            signature: '',
+            enabledInputs: new Set(),
+            enabledOutputs: new Set(['internal']),
+        };
+        this.selectedChordPad = 0; // The chord pad shown in the Chords tab editor
+        this.heldChordCache = { signature: '', chord: null }; // getHeldChord() runs every frame
         this.scaleNoteMap = []; // A pre-calculated map for scale logic
         this.DRUM_CHANNEL = 9; // 0-based channel for drums        
 
@@ -81,6 +106,9 @@ class PianoKeyboard {
         this.initKeys();
         this.initEventListeners();
         this.loadSettings();
+        this._buildChordTab();
+        this._loadMidiPorts();
+        this._buildMidiTab();
         this.resizeCanvas();
         this.animationLoop();
     }
@@ -107,22 +135,6 @@ class PianoKeyboard {
         // Add a spacer row for better layout        
         drumPads.push(new RowControl({ ctx: this.ctx, controls: [ new SpaceControl({ ctx: this.ctx, width: 20, height: 20 })] }));
 
-        // --- CHORDS TAB ---
-        const chords = [
-            { name: 'C Major', notes: [60, 64, 67] }, { name: 'F Major', notes: [53, 57, 60] },
-            { name: 'G Major', notes: [55, 59, 62] }, { name: 'A Minor', notes: [57, 60, 64] },
-            { name: 'E Minor', notes: [52, 55, 59] }, { name: 'D Minor', notes: [50, 53, 58] },
-            { name: 'C7', notes: [60, 64, 67, 70] },   { name: 'CMaj7', notes: [60, 64, 67, 71] },
-        ];
-        const chordPads = chords.map(chord => new ButtonControl({
-            ctx: this.ctx,
-            id: `chord_${chord.name.replace(' ','')}`,
-            label: chord.name,
-            autoSize: true,
-            onClick: () => this._playChord(chord.notes),
-            onRelease: () => this._stopChord(chord.notes)
-        }));
-        
         // --- DRUM MACHINE TAB ---
         const drumMachineControls = [
             new RowControl({ ctx: this.ctx, controls: [
@@ -143,15 +155,30 @@ class PianoKeyboard {
             ]}));
         });
 
+        // --- ARPEGGIATOR TAB ---
+        const arp = this.settings.arpeggiator;
+        const setArp = (key, value) => { this.settings.arpeggiator[key] = value; this.saveSettings(); };
+        const arpModeOptions = ['Up', 'Down', 'Up-Down', 'Random', 'As Played'].map(mode => ({ text: mode, value: mode }));
+        const arpRateOptions = [
+            { text: '1/4', value: 1 }, { text: '1/8', value: 2 }, { text: '1/8T', value: 3 },
+            { text: '1/16', value: 4 }, { text: '1/16T', value: 6 }, { text: '1/32', value: 8 },
+        ];
+        const arpOctaveOptions = [1, 2, 3, 4].map(octaves => ({ text: `${octaves} Oct`, value: octaves }));
+        const arpeggiatorControls = [
+            new RowControl({ ctx: this.ctx, controls: [
+                new ToggleSwitch({ ctx: this.ctx, id: 'arp_enabled', label: 'Arpeggiate', initialValue: arp.enabled, onStateChange: (c) => this.setArpeggiatorEnabled(c.value) }),
+                new ToggleSwitch({ ctx: this.ctx, id: 'arp_latch', label: 'Latch', initialValue: arp.latch, onStateChange: (c) => this.setArpeggiatorLatch(c.value) }),
+            ]}),
+            new RowControl({ ctx: this.ctx, controls: [
+                new DropdownControl({ ctx: this.ctx, id: 'arp_mode', label: 'Mode', width: 100, options: arpModeOptions, initialValue: arp.mode, onSelect: (val) => setArp('mode', val) }),
+                new DropdownControl({ ctx: this.ctx, id: 'arp_rate', label: 'Rate', width: 70, options: arpRateOptions, initialValue: arp.rate, onSelect: (val) => setArp('rate', val) }),
+                new DropdownControl({ ctx: this.ctx, id: 'arp_octaves', label: 'Range', width: 70, options: arpOctaveOptions, initialValue: arp.octaves, onSelect: (val) => setArp('octaves', val) }),
+                new PopupSliderControl({ ctx: this.ctx, id: 'arp_gate', label: 'Gate %', min: 5, max: 100, initialValue: arp.gate, width: 90, height: 120, onStateChange: (c) => setArp('gate', c.slider.value) }),
+            ]}),
+        ];
+
         // --- SCALES TAB ---
         const rootNoteOptions = Array.from({length: 12}, (_, i) => ({ text: ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"][i], value: i }));
-        const scaleOptions = [
-            { text: "None", value: "None" }, { text: "Major (Ionian)", value: "Major" },
-            { text: "Dorian", value: "Dorian" }, { text: "Phrygian", value: "Phrygian" },
-            { text: "Lydian", value: "Lydian" }, { text: "Mixolydian", value: "Mixolydian" },
-            { text: "Minor (Aeolian)", value: "Minor" }, { text: "Locrian", value: "Locrian" },
-            { text: "Pentatonic", value: "Pentatonic" }, { text: "Blues", value: "Blues" },
-        ];
         const actionOptions = [
             { text: "None", value: "None" }, { text: "Highlight", value: "Highlight" },
             { text: "Round Closest", value: "Round Closest" },
@@ -167,6 +194,7 @@ class PianoKeyboard {
             'Keys': [
                 new ToggleSwitch({ ctx: this.ctx, id: 'pitchBend', label: 'Drag for Pitch Bend', initialValue: this.settings.pitchBend, onStateChange }),
                 new ToggleSwitch({ ctx: this.ctx, id: 'velocityByPos', label: 'Lower on Keys Is Louder', initialValue: this.settings.velocityByPos, onStateChange }),
+                new ToggleSwitch({ ctx: this.ctx, id: 'sustain', label: 'Sustain (hold Space)', initialValue: false, onStateChange: (c) => { this.sustain.isLatched = c.value; this._updateSustain(); }}),
                 new SpaceControl({ ctx: this.ctx, width: 0 }), // Spacer
                 new PopupSliderControl({
                     ctx: this.ctx,
@@ -181,13 +209,21 @@ class PianoKeyboard {
                 }),
             ],
             'Drums': drumPads,
-            'Chords': chordPads,
+            'Chords': [], // Filled in by _buildChordTab()
             'Drum Machine': drumMachineControls,
+            'Arpeggiator': arpeggiatorControls,
             'Scales': [
-                new DropdownControl({ ctx: this.ctx, id: 'scaleRoot', label: 'Root Note', options: rootNoteOptions, initialValue: 0, onSelect: (val) => { this.settings.scaleSettings.root = val; this._updateScaleMap(); }}),
-                new DropdownControl({ ctx: this.ctx, id: 'scaleType', label: 'Scale Type', width: 100, options: scaleOptions, initialValue: 'None', onSelect: (val) => { this.settings.scaleSettings.scale = val; this._updateScaleMap(); }}),
-                new DropdownControl({ ctx: this.ctx, id: 'scaleAction', label: 'Action', width: 100, options: actionOptions, initialValue: 'None', onSelect: (val) => { this.settings.scaleSettings.action = val; this._updateScaleMap(); }}),
-            ]
+                new RowControl({ ctx: this.ctx, controls: [
+                    new DropdownControl({ ctx: this.ctx, id: 'scaleRoot', label: 'Root Note', options: rootNoteOptions, initialValue: 0, onSelect: (val) => this._setScaleSetting('root', val) }),
+                    new DropdownControl({ ctx: this.ctx, id: 'scaleType', label: 'Scale Type', width: 160, options: this._getScaleOptions(), initialValue: 'None', onSelect: (val) => this._setScaleSetting('scale', val) }),
+                    new DropdownControl({ ctx: this.ctx, id: 'scaleAction', label: 'Action', width: 100, options: actionOptions, initialValue: 'None', onSelect: (val) => this._setScaleSetting('action', val) }),
+                ]}),
+                new RowControl({ ctx: this.ctx, controls: [
+                    new ButtonControl({ ctx: this.ctx, id: 'scaleNew', label: 'New Scale...', autoSize: true, onClick: () => this._createCustomScale() }),
+                    new ButtonControl({ ctx: this.ctx, id: 'scaleDelete', label: 'Delete Scale', autoSize: true, onClick: () => this._deleteCustomScale() }),
+                ]}),
+            ],
+            'MIDI': [], // Filled in by _buildMidiTab()
         };
     }
 
@@ -218,7 +254,7 @@ class PianoKeyboard {
         for (let i = 0; i < this.TOTAL_KEYS; i++) {
             const note = this.LOWEST_NOTE + i;
             const isBlack = [1, 3, 6, 8, 10].includes(note % 12);
-            this.keys.push({ note, isBlack, isPressed: false, x: 0, y: 0, width: 0, height: 0, whiteKeyIndex: isBlack ? -1 : whiteKeyIndex++ });
+            this.keys.push({ note, isBlack, isPressed: false, isSustained: false, x: 0, y: 0, width: 0, height: 0, whiteKeyIndex: isBlack ? -1 : whiteKeyIndex++ });
         }
     }
 
@@ -289,10 +325,204 @@ class PianoKeyboard {
     }
     _playChord(notes) {
         let velocity = Math.max(this.settings.minVelocity, Math.min(this.settings.maxVelocity, this.settings.volume));
-        notes.forEach(note => this.midiCallback([0x90, note, velocity], "chord"));
+        notes.forEach(note => this._routeNoteOn(note, velocity, "chord"));
     }
     _stopChord(notes) {
-        notes.forEach(note => this.midiCallback([0x80, note, 0], "chord"));
+        notes.forEach(note => this._routeNoteOff(note, "chord"));
+    }
+
+    // --- CHORD PADS ---
+    _getChordTypes() {
+        return window.synth.getChordTypes ? window.synth.getChordTypes() : [];
+    }
+
+    /**
+     * Works out the notes of a chord pad.
+     * @param {object} pad - { root: 0-11, type: a chord type from getChordTypes(), inversion, octave }.
+     * @returns {number[]} MIDI note numbers, lowest first.
+     */
+    _getChordPadNotes(pad) {
+        const chordType = this._getChordTypes().find(c => c.type === pad.type);
+        if (!chordType) return [];
+        const rootNote = (pad.octave + 1) * 12 + pad.root; // Octave 4 starts at middle C
+        const notes = chordType.notes.map(interval => rootNote + interval);
+        for (let i = 0; i < pad.inversion && i < notes.length - 1; i++) notes.push(notes.shift() + 12);
+        return notes.filter(note => note >= 0 && note <= 127).sort((a, b) => a - b);
+    }
+
+    _getChordPadLabel(pad) {
+        const names = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+        const notes = this._getChordPadNotes(pad);
+        const name = names[pad.root] + (pad.type === 'M' ? '' : pad.type);
+        // Inversions are shown as slash chords, e.g. C/E
+        return pad.inversion > 0 && notes.length > 0 ? `${name}/${names[notes[0] % 12]}` : name;
+    }
+
+    /**
+     * Builds a bank with the diatonic triads of a key, plus the dominant seventh.
+     * @param {number} root - Key root, 0-11.
+     * @param {boolean} isMinor - Natural minor instead of major.
+     * @returns {object[]} Chord pads.
+     */
+    _makeChordPadBank(root, isMinor) {
+        const degrees = isMinor ? [0, 2, 3, 5, 7, 8, 10] : [0, 2, 4, 5, 7, 9, 11];
+        const types = isMinor ? ['m', 'dim', 'M', 'm', 'm', 'M', 'M'] : ['M', 'm', 'm', 'M', 'M', 'm', 'dim'];
+        const pads = degrees.map((degree, i) => ({ note: 60 + (root + degree) % 12, type: types[i] }));
+        pads.push({ note: 60 + (root + 7) % 12, type: '7' });
+        return pads.map(({ note, type }) => {
+            if (note > 66) note -= 12; // Keep the chords around middle C
+            return { root: note % 12, type, inversion: 0, octave: Math.floor(note / 12) - 1 };
+        });
+    }
+
+    /**
+     * Replaces the chord pads with a preset bank.
+     * @param {string} name - One of the keys of getChordPadPresets().
+     */
+    loadChordPadPreset(name) {
+        const preset = this.getChordPadPresets()[name];
+        if (!preset) return;
+        this.settings.chordPads = preset;
+        this.selectedChordPad = 0;
+        this.saveSettings();
+        this._buildChordTab();
+    }
+
+    // The bank the pads match, or null once they have been edited
+    _getChordPadBank() {
+        const pads = JSON.stringify(this.settings.chordPads);
+        const presets = this.getChordPadPresets();
+        return Object.keys(presets).find(name => JSON.stringify(presets[name]) === pads) || null;
+    }
+
+    getChordPadPresets() {
+        return {
+            'Default': [
+                { root: 0, type: 'M', inversion: 0, octave: 4 }, { root: 5, type: 'M', inversion: 0, octave: 3 },
+                { root: 7, type: 'M', inversion: 0, octave: 3 }, { root: 9, type: 'm', inversion: 0, octave: 3 },
+                { root: 4, type: 'm', inversion: 0, octave: 3 }, { root: 2, type: 'm', inversion: 0, octave: 3 },
+                { root: 0, type: '7', inversion: 0, octave: 4 }, { root: 0, type: 'M7', inversion: 0, octave: 4 },
+            ],
+            'C Major': this._makeChordPadBank(0, false),
+            'G Major': this._makeChordPadBank(7, false),
+            'D Major': this._makeChordPadBank(2, false),
+            'A Major': this._makeChordPadBank(9, false),
+            'F Major': this._makeChordPadBank(5, false),
+            'Bb Major': this._makeChordPadBank(10, false),
+            'A Minor': this._makeChordPadBank(9, true),
+            'E Minor': this._makeChordPadBank(4, true),
+            'D Minor': this._makeChordPadBank(2, true),
+        };
+    }
+
+    _updateSelectedChordPad(key, value) {
+        const pad = this.settings.chordPads[this.selectedChordPad];
+        if (!pad) return;
+        pad[key] = value;
+        if (key === 'type') pad.inversion = 0; // The new chord may have fewer notes to invert
+        this.saveSettings();
+        this._buildChordTab();
+    }
+
+    _addChordPad() {
+        const pads = this.settings.chordPads;
+        // Start from a copy of the selected pad so similar chords are quick to make
+        const pad = pads[this.selectedChordPad] ? { ...pads[this.selectedChordPad] } : { root: 0, type: 'M', inversion: 0, octave: 4 };
+        pads.splice(this.selectedChordPad + 1, 0, pad);
+        this.selectedChordPad = Math.min(this.selectedChordPad + 1, pads.length - 1);
+        this.saveSettings();
+        this._buildChordTab();
+    }
+
+    _moveChordPad(offset) {
+        const pads = this.settings.chordPads;
+        const from = this.selectedChordPad, to = from + offset;
+        if (!pads[from] || to < 0 || to >= pads.length) return;
+        pads.splice(to, 0, pads.splice(from, 1)[0]);
+        this.selectedChordPad = to;
+        this.saveSettings();
+        this._buildChordTab();
+    }
+
+    _deleteChordPad() {
+        const pads = this.settings.chordPads;
+        if (!pads[this.selectedChordPad]) return;
+        pads.splice(this.selectedChordPad, 1);
+        this.selectedChordPad = Math.max(0, Math.min(this.selectedChordPad, pads.length - 1));
+        this.saveSettings();
+        this._buildChordTab();
+    }
+
+    /**
+     * Fills the Chords tab: a row of pads, then an editor for the selected pad and the preset banks.
+     * Clicking a pad plays it and selects it for editing.
+     */
+    _buildChordTab() {
+        const pads = this.settings.chordPads;
+        this.selectedChordPad = Math.max(0, Math.min(this.selectedChordPad, pads.length - 1));
+        const selected = pads[this.selectedChordPad];
+        const chordTypes = this._getChordTypes();
+
+        const padButtons = pads.map((pad, index) => {
+            let soundingNotes = []; // Released as played, even if the pad is edited while held
+            return new ButtonControl({
+                ctx: this.ctx,
+                id: `chord_${index}`,
+                label: this._getChordPadLabel(pad),
+                autoSize: true,
+                isActive: () => this.selectedChordPad === index,
+                onClick: () => {
+                    this.selectedChordPad = index;
+                    this._syncChordEditor();
+                    soundingNotes = this._getChordPadNotes(pad);
+                    this._playChord(soundingNotes);
+                },
+                onRelease: () => this._stopChord(soundingNotes)
+            });
+        });
+
+        const rootOptions = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"].map((text, value) => ({ text, value }));
+        const typeOptions = chordTypes.map(c => ({ text: c.fullName || c.type, value: c.type }));
+        const octaveOptions = [1, 2, 3, 4, 5, 6, 7].map(octave => ({ text: `Oct ${octave}`, value: octave }));
+        const presetOptions = Object.keys(this.getChordPadPresets()).map(name => ({ text: name, value: name }));
+        const bank = this._getChordPadBank();
+        if (bank === null) presetOptions.unshift({ text: 'Custom', value: null });
+        const editor = selected ? [
+            new DropdownControl({ ctx: this.ctx, id: 'chord_root', label: 'Root', width: 60, options: rootOptions, initialValue: selected.root, onSelect: (val) => this._updateSelectedChordPad('root', val) }),
+            new DropdownControl({ ctx: this.ctx, id: 'chord_type', label: 'Quality', width: 130, options: typeOptions, initialValue: selected.type, onSelect: (val) => this._updateSelectedChordPad('type', val) }),
+            new DropdownControl({ ctx: this.ctx, id: 'chord_inversion', label: 'Inversion', width: 90, options: [], initialValue: selected.inversion, onSelect: (val) => this._updateSelectedChordPad('inversion', val) }),
+            new DropdownControl({ ctx: this.ctx, id: 'chord_octave', label: 'Octave', width: 70, options: octaveOptions, initialValue: selected.octave, onSelect: (val) => this._updateSelectedChordPad('octave', val) }),
+            new ButtonControl({ ctx: this.ctx, id: 'chord_left', label: '<', width: 30, onClick: () => this._moveChordPad(-1) }),
+            new ButtonControl({ ctx: this.ctx, id: 'chord_right', label: '>', width: 30, onClick: () => this._moveChordPad(1) }),
+            new ButtonControl({ ctx: this.ctx, id: 'chord_delete', label: 'Delete', onClick: () => this._deleteChordPad() }),
+        ] : [];
+
+        const tab = this.drawer.tabs['Chords'];
+        tab.splice(0, tab.length,
+            new RowControl({ ctx: this.ctx, controls: padButtons }),
+            new RowControl({ ctx: this.ctx, controls: editor }),
+            new RowControl({ ctx: this.ctx, controls: [
+                new ButtonControl({ ctx: this.ctx, id: 'chord_add', label: 'Add Pad', onClick: () => this._addChordPad() }),
+                new DropdownControl({ ctx: this.ctx, id: 'chord_preset', label: 'Bank', width: 100, options: presetOptions, initialValue: bank, onSelect: (val) => this.loadChordPadPreset(val) }),
+            ]}),
+        );
+        this._syncChordEditor();
+        this.drawer.updateHeight();
+    }
+
+    // Shows the selected pad in the editor controls without rebuilding the tab
+    _syncChordEditor() {
+        const pad = this.settings.chordPads[this.selectedChordPad];
+        if (!pad) return;
+        const editor = this.drawer.tabs['Chords'].flatMap(row => row.controls);
+        const find = (id) => editor.find(c => c.id === id);
+        const chordType = this._getChordTypes().find(c => c.type === pad.type);
+        const inversionNames = ['Root', '1st Inv', '2nd Inv', '3rd Inv', '4th Inv', '5th Inv'];
+        find('chord_root').selectedValue = pad.root;
+        find('chord_type').selectedValue = pad.type;
+        find('chord_inversion').options = inversionNames.slice(0, chordType ? chordType.notes.length : 1).map((text, value) => ({ text, value }));
+        find('chord_inversion').selectedValue = pad.inversion;
+        find('chord_octave').selectedValue = pad.octave;
     }
 
     // --- DRUM MACHINE LOGIC ---
@@ -348,22 +578,200 @@ class PianoKeyboard {
         this.drumMachineTimer = setTimeout(this._drumMachineLoop.bind(this), Math.max(0, delay));
     }
 
+    // --- ARPEGGIATOR ---
+    // Notes from the keys and chord pads are collected here instead of sounding directly,
+    // then played one at a time at the piano roll's tempo.
+    _arpNoteOn(note, velocity) {
+        const arp = this.arpeggiatorState;
+        // With latch on, the first note of a new chord replaces the notes that were left playing
+        if (this.settings.arpeggiator.latch && arp.heldNotes.size === 0) arp.notes = [];
+        arp.heldNotes.add(note);
+        arp.notes = arp.notes.filter(n => n.note !== note);
+        arp.notes.push({ note, velocity });
+        if (!arp.timer) this._startArpeggiator();
+    }
+
+    // A note-off takes the same route as its note-on, so switching the arpeggiator
+    // while a key or pad is held cannot leave a note stuck.
+    _routeNoteOn(note, velocity, device) {
+        if (this.settings.arpeggiator.enabled) {
+            this.arpeggiatorState.routedNotes.add(`${device}:${note}`);
+            this._arpNoteOn(note, velocity);
+        } else {
+            this.midiCallback([0x90, note, velocity], device);
+        }
+    }
+
+    _routeNoteOff(note, device) {
+        if (this.arpeggiatorState.routedNotes.delete(`${device}:${note}`)) this._arpNoteOff(note);
+        else this.midiCallback([0x80, note, 0], device);
+    }
+
+    _arpNoteOff(note) {
+        const arp = this.arpeggiatorState;
+        arp.heldNotes.delete(note);
+        if (this.settings.arpeggiator.latch) return;
+        arp.notes = arp.notes.filter(n => n.note !== note);
+        if (arp.notes.length === 0) this._stopArpeggiator();
+    }
+
+    /**
+     * Turns the arpeggiator on or off. Turning it off silences it and forgets latched notes.
+     * @param {boolean} enabled
+     */
+    setArpeggiatorEnabled(enabled) {
+        this.settings.arpeggiator.enabled = enabled;
+        if (!enabled) this._stopArpeggiator();
+        this.saveSettings();
+    }
+
+    /**
+     * Turns latch on or off. Turning it off drops the notes that are no longer held.
+     * @param {boolean} latch
+     */
+    setArpeggiatorLatch(latch) {
+        const arp = this.arpeggiatorState;
+        this.settings.arpeggiator.latch = latch;
+        if (!latch) {
+            arp.notes = arp.notes.filter(n => arp.heldNotes.has(n.note));
+            if (arp.notes.length === 0) this._stopArpeggiator();
+        }
+        this.saveSettings();
+    }
+
+    _startArpeggiator() {
+        const arp = this.arpeggiatorState;
+        arp.step = 0;
+        arp.nextStepTime = this.ctx.canvas.ownerDocument.defaultView.performance.now();
+        this._arpeggiatorLoop();
+    }
+
+    _stopArpeggiator() {
+        const arp = this.arpeggiatorState;
+        clearTimeout(arp.timer);
+        arp.timer = null;
+        arp.notes = [];
+        this._releaseArpNote();
+    }
+
+    _releaseArpNote() {
+        const arp = this.arpeggiatorState;
+        clearTimeout(arp.gateTimer);
+        if (arp.soundingNote !== null) this.midiCallback([0x80, arp.soundingNote, 0], "arpeggiator");
+        arp.soundingNote = null;
+    }
+
+    /**
+     * Orders the collected notes by the selected mode and spreads them over the octave range.
+     * @returns {Array<{note: number, velocity: number}>} One cycle of the pattern.
+     */
+    _getArpeggioSequence() {
+        const { mode, octaves } = this.settings.arpeggiator;
+        const played = mode === 'As Played' ? this.arpeggiatorState.notes : [...this.arpeggiatorState.notes].sort((a, b) => a.note - b.note);
+        const sequence = [];
+        for (let octave = 0; octave < octaves; octave++) {
+            played.forEach(n => { if (n.note + octave * 12 <= 127) sequence.push({ note: n.note + octave * 12, velocity: n.velocity }); });
+        }
+        if (mode === 'Down') return sequence.reverse();
+        // Up-down doesn't repeat the top and bottom notes at the turns
+        if (mode === 'Up-Down') return sequence.concat(sequence.slice(1, -1).reverse());
+        return sequence;
+    }
+
+    _arpeggiatorLoop() {
+        const arp = this.arpeggiatorState;
+        const tempo = window.pianoRoll ? window.pianoRoll.bpm : 120;
+        const stepMs = (60000 / tempo) / this.settings.arpeggiator.rate;
+
+        const sequence = this._getArpeggioSequence();
+        this._releaseArpNote();
+        if (sequence.length > 0) {
+            const { note, velocity } = this.settings.arpeggiator.mode === 'Random'
+                ? sequence[Math.floor(Math.random() * sequence.length)]
+                : sequence[arp.step % sequence.length];
+            arp.soundingNote = note;
+            this.midiCallback([0x90, note, velocity], "arpeggiator");
+            arp.gateTimer = setTimeout(() => this._releaseArpNote(), stepMs * this.settings.arpeggiator.gate / 100);
+        }
+        arp.step++;
+
+        arp.nextStepTime += stepMs;
+        const delay = arp.nextStepTime - this.ctx.canvas.ownerDocument.defaultView.performance.now();
+        arp.timer = setTimeout(this._arpeggiatorLoop.bind(this), Math.max(0, delay));
+    }
+
     // --- SCALE LOGIC ---
+    // Scales come from tinysynth's getScaleTypes catalog, which the user's own scales are added to.
+    _getScaleTypes() {
+        return window.synth.getScaleTypes ? window.synth.getScaleTypes() : [];
+    }
+
+    _getScaleIntervals(scaleType) {
+        const entry = this._getScaleTypes().find(s => s.type === scaleType);
+        return entry ? entry.notes : [];
+    }
+
     _getScaleNotes(root, scaleType) {
-        const scales = {
-            'None': [],
-            'Major': [0, 2, 4, 5, 7, 9, 11],
-            'Minor': [0, 2, 3, 5, 7, 8, 10],
-            'Dorian': [0, 2, 3, 5, 7, 9, 10],
-            'Phrygian': [0, 1, 3, 5, 7, 8, 10],
-            'Lydian': [0, 2, 4, 6, 7, 9, 11],
-            'Mixolydian': [0, 2, 4, 5, 7, 9, 10],
-            'Locrian': [0, 1, 3, 5, 6, 8, 10],
-            'Pentatonic': [0, 2, 4, 7, 9],
-            'Blues': [0, 3, 5, 6, 7, 10],
-        };
-        const intervals = scales[scaleType] || [];
-        return intervals.map(i => (root + i) % 12);
+        return this._getScaleIntervals(scaleType).map(i => (root + i) % 12);
+    }
+
+    _getScaleOptions() {
+        return [{ text: "None", value: "None" }, ...this._getScaleTypes().map(s => ({ text: s.fullName, value: s.type }))];
+    }
+
+    _setScaleSetting(key, value) {
+        this.settings.scaleSettings[key] = value;
+        this._updateScaleMap();
+        this.saveSettings();
+    }
+
+    // Hands the user's scales to the synth's catalog and refreshes the Scale Type menu
+    _syncCustomScales() {
+        if (window.synth.setCustomScaleTypes) window.synth.setCustomScaleTypes(this.settings.customScales);
+        const scaleDropdown = this.drawer.tabs['Scales'].flatMap(row => row.controls).find(c => c.id === 'scaleType');
+        scaleDropdown.options = this._getScaleOptions();
+        if (!scaleDropdown.options.some(o => o.value === this.settings.scaleSettings.scale)) this.settings.scaleSettings.scale = 'None';
+        scaleDropdown.selectedValue = this.settings.scaleSettings.scale;
+    }
+
+    /**
+     * Asks for a name and a set of intervals and saves them as a user scale, which is then selected.
+     * A scale with the same name is replaced.
+     */
+    async _createCustomScale() {
+        const name = prompt('Name for the new scale:');
+        if (!name || !name.trim()) return;
+        const current = this._getScaleIntervals(this.settings.scaleSettings.scale);
+        const input = prompt('Notes of the scale, in semitones above the root (0-11):', (current.length ? current : [0, 2, 4, 5, 7, 9, 11]).join(' '));
+        if (input === null) return;
+
+        const values = input.split(/[\s,]+/).filter(v => v !== '').map(Number);
+        if (values.length === 0 || values.some(v => !Number.isInteger(v) || v < 0 || v > 11)) {
+            this.drawer.dialogs['Error'][0].controls[0].label = 'Scale notes must be whole numbers from 0 to 11.';
+            await this.drawer.openDialog('Error');
+            return;
+        }
+        // Every scale starts on its root
+        const notes = [...new Set([0, ...values])].sort((a, b) => a - b);
+        const scale = { type: `user:${name.trim()}`, fullName: name.trim(), notes };
+        this.settings.customScales = this.settings.customScales.filter(s => s.type !== scale.type).concat(scale);
+        this.settings.scaleSettings.scale = scale.type;
+        this._syncCustomScales();
+        this._setScaleSetting('scale', scale.type);
+    }
+
+    async _deleteCustomScale() {
+        const scale = this.settings.customScales.find(s => s.type === this.settings.scaleSettings.scale);
+        if (!scale) {
+            this.drawer.dialogs['Error'][0].controls[0].label = 'Only scales you have created can be deleted.';
+            await this.drawer.openDialog('Error');
+            return;
+        }
+        this.drawer.dialogs['Confirm'][0].controls[0].label = `Delete the scale "${scale.fullName}"?`;
+        if (!await this.drawer.openDialog('Confirm')) return;
+        this.settings.customScales = this.settings.customScales.filter(s => s !== scale);
+        this._syncCustomScales();
+        this._setScaleSetting('scale', 'None');
     }
 
     _updateScaleMap() {
@@ -402,10 +810,11 @@ class PianoKeyboard {
             if (whiteKeyIndex === -1) return { shouldMute: true, finalNote: note }; // It's a black key press
             
             const { root } = this.settings.scaleSettings;
-            const scaleNotes = this._getScaleNotes(root, scale);
-            const octave = Math.floor(whiteKeyIndex / scaleNotes.length);
-            const scaleIndex = whiteKeyIndex % scaleNotes.length;
-            const finalNote = (this.octaveOffset + octave + 4) * 12 + scaleNotes[scaleIndex];
+            const intervals = this._getScaleIntervals(scale);
+            const octave = Math.floor(whiteKeyIndex / intervals.length);
+            const scaleIndex = whiteKeyIndex % intervals.length;
+            // Counting up from the root keeps the notes rising when the scale crosses a C
+            const finalNote = (this.octaveOffset + octave + 4) * 12 + root + intervals[scaleIndex];
             return { shouldMute: false, finalNote: finalNote };
         }
 
@@ -545,6 +954,14 @@ class PianoKeyboard {
      */
     handleKeyDown(e) {
         if (e.repeat || this.computerKeysDown.has(e.code)) return;
+        if (e.ctrlKey || e.metaKey) return; // Leave shortcuts such as Ctrl+C to the piano roll
+        if (e.code === 'Space') {
+            e.preventDefault(); // Don't scroll the page or click the focused button
+            this.sustain.isSpaceHeld = true;
+            this._updateSustain();
+            return;
+        }
+
         const keyMapping = this.getComputerKeyMapping();
         const noteInfo = keyMapping[e.code];
         if (noteInfo) {
@@ -559,6 +976,11 @@ class PianoKeyboard {
      * @param {KeyboardEvent} e - The keyboard event.
      */
     handleKeyUp(e) {
+        if (e.code === 'Space') {
+            this.sustain.isSpaceHeld = false;
+            this._updateSustain();
+            return;
+        }
         const keyMapping = this.getComputerKeyMapping();
         const noteInfo = keyMapping[e.code];
         if (noteInfo) {
@@ -600,6 +1022,7 @@ class PianoKeyboard {
         // --- END SCALE LOGIC ---
 
         key.isPressed = true;
+        key.isSustained = false;
         let velocity = this.settings.volume;
 
         // This block calculates velocity based on the vertical press position.
@@ -627,7 +1050,7 @@ class PianoKeyboard {
         // Clamp the final velocity between the min and max settings.
         velocity = Math.max(this.settings.minVelocity, Math.min(this.settings.maxVelocity, velocity));
         
-        this.midiCallback([0x90, finalNote, velocity], "internal");
+        this._routeNoteOn(finalNote, velocity, "internal");
     }
 
     /**
@@ -643,7 +1066,8 @@ class PianoKeyboard {
             const finalNote = action.finalNote;
             // --- END SCALE LOGIC ---
             key.isPressed = false;
-            this.midiCallback([0x80, finalNote, 0], "internal");
+            key.isSustained = this.sustain.isOn;
+            this._routeNoteOff(finalNote, "internal");
         }
     }
 
@@ -660,11 +1084,201 @@ class PianoKeyboard {
             const key = this.keys.find(k => k.note === note);
             if (key) {
                 key.isPressed = (command === 0x90 && velocity > 0);
+                key.isSustained = !key.isPressed && this.sustain.isOn;
             }
+        } else if (command === 0xB0 && message[1] === 64) {
+            // A pedal on the external device; the switch follows it so it can also be lifted on screen
+            this.sustain.isLatched = message[2] >= 64;
+            this._setSustainState(this.sustain.isLatched);
         }
         this.midiCallback([...message], deviceName);
     }
 
+    // --- Sustain Pedal ---
+    /**
+     * Presses or lifts the pedal to match the Sustain switch and the space bar, sending CC64 when it changes.
+     */
+    _updateSustain() {
+        const isOn = this.sustain.isLatched || this.sustain.isSpaceHeld;
+        if (isOn === this.sustain.isOn) return;
+        this._setSustainState(isOn);
+        this.midiCallback([0xB0, 64, isOn ? 127 : 0], "internal");
+    }
+
+    _setSustainState(isOn) {
+        this.sustain.isOn = isOn;
+        if (!isOn) this.keys.forEach(key => key.isSustained = false);
+        const sustainSwitch = this.drawer.tabs['Keys'].find(c => c.id === 'sustain');
+        if (sustainSwitch) sustainSwitch.value = this.sustain.isLatched;
+    }
+
+    // --- CHORD RECOGNITION ---
+    /**
+     * Names the chord formed by the pressed keys, using tinysynth's getChord.
+     * @returns {{name: string, inversion: string, numeral: string}|null} Null unless the keys form a known chord.
+     */
+    getHeldChord() {
+        const notes = this.keys.filter(k => k.isPressed).map(k => k.note);
+        const signature = `${notes.join(',')}|${this.settings.scaleSettings.root}`;
+        if (signature === this.heldChordCache.signature) return this.heldChordCache.chord;
+
+        const matches = (notes.length >= 3 && window.synth.getChord) ? window.synth.getChord(notes) : [];
+        // Notes such as C-E-G-A can be read as more than one chord; prefer the reading with the bass as root
+        const match = matches.find(m => m.inversion === 0) || matches[0];
+        let chord = null;
+        if (match) {
+            const names = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+            const bass = Math.min(...notes) % 12;
+            const name = match.noteName + (match.chordType === 'M' ? '' : match.chordType);
+            const inversionNames = ['Root position', '1st inversion', '2nd inversion', '3rd inversion'];
+            chord = {
+                name: match.inversion > 0 ? `${name}/${names[bass]}` : name,
+                inversion: inversionNames[match.inversion] || `${match.inversion}th inversion`,
+                numeral: this._getRomanNumeral(match.noteNumber, match.chordType, match.chordScale),
+            };
+        }
+        this.heldChordCache = { signature, chord };
+        return chord;
+    }
+
+    _getRomanNumeral(root, chordType, chordScale) {
+        const degree = (root - this.settings.scaleSettings.root + 12) % 12;
+        const numerals = ['I', 'bII', 'II', 'bIII', 'III', 'IV', '#IV', 'V', 'bVI', 'VI', 'bVII', 'VII'];
+        const suffixes = { 'm': '', 'M': '', 'M7': 'maj7', 'm7': '7', 'dim': '°', 'dim7': '°7', 'm7b5': 'ø7', 'aug': '+', 'M9': 'maj9', 'm9': '9', 'm11': '11' };
+        const numeral = (chordScale === 'm' || chordScale === 'dim') ? numerals[degree].toLowerCase() : numerals[degree];
+        return numeral + (suffixes.hasOwnProperty(chordType) ? suffixes[chordType] : chordType);
+    }
+
+    /**
+     * Draws the recognized chord in a strip over the top right of the keys.
+     * @param {number} drawerHeight - The current height of the settings drawer.
+     */
+    drawChordDisplay(drawerHeight) {
+        const chord = this.getHeldChord();
+        if (!chord || this.keyHeight <= 0) return;
+        const text = `${chord.name}   ${chord.numeral}   ${chord.inversion}`;
+        this.ctx.save();
+        this.ctx.font = 'bold 14px sans-serif';
+        const width = this.ctx.measureText(text).width + 20;
+        const x = this.canvas.width - width - 8, y = drawerHeight + 6;
+        this.ctx.fillStyle = 'rgba(40, 40, 40, 0.8)';
+        this.ctx.beginPath();
+        this.ctx.roundRect(x, y, width, 26, 5);
+        this.ctx.fill();
+        this.ctx.fillStyle = '#fff';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(text, x + 10, y + 13);
+        this.ctx.restore();
+    }
+
+    // --- MIDI Devices ---
+    /**
+     * Lists the synth's Web MIDI ports in the MIDI tab and keeps them up to date as devices are
+     * plugged in or removed. Enabled inputs play through handleExternalMidiMessage; enabled outputs
+     * receive everything sent to the synth. The choice of ports is saved between sessions.
+     * @param {object} synth - A WebAudioTinySynth; its MIDI module does the port handling.
+     */
+    enableMidiDevices(synth) {
+        const devices = this.midiDevices;
+        devices.synth = synth;
+        synth.passThruMIDI = false; // Input is played by handleExternalMidiMessage, not echoed by the synth
+        synth.onmidimessage = (event) => {
+            this.handleExternalMidiMessage(Array.from(event.data), event.target ? event.target.name : 'MIDI');
+        };
+        synth.setupMIDIDevices(() => {
+            devices.isAvailable = true;
+            // Opening and closing ports also fires statechange, so only changes to the port list count
+            synth.MIDIAccess.addEventListener('statechange', () => this._refreshMidiDevices());
+            this._refreshMidiDevices(true);
+        }, () => {
+            devices.isAvailable = false;
+            this._buildMidiTab();
+        });
+    }
+
+    /**
+     * Re-reads the port lists and reconnects the enabled ports if anything changed.
+     * @param {boolean} [force=false] - Reconnect even if the port lists are unchanged.
+     */
+    _refreshMidiDevices(force = false) {
+        const synth = this.midiDevices.synth;
+        if (!synth || !this.midiDevices.isAvailable) return;
+        synth.refreshInputs();
+        synth.refreshOutputs();
+        const signature = JSON.stringify([synth.getInputs(), synth.getOutputs()]);
+        if (!force && signature === this.midiDevices.signature) return;
+        this.midiDevices.signature = signature;
+        this._connectMidiPorts();
+        this._buildMidiTab();
+    }
+
+    _connectMidiPorts() {
+        const { synth, enabledInputs, enabledOutputs } = this.midiDevices;
+        synth.setInput(synth.getInputs().filter(port => port.id !== 'internal' && enabledInputs.has(port.id)).map(port => port.id));
+        synth.setOutput(synth.getOutputs().filter(port => enabledOutputs.has(port.id)).map(port => port.id));
+    }
+
+    /**
+     * Turns a port on or off and saves the choice.
+     * @param {string} kind - 'input' or 'output'.
+     * @param {string} id - The port id.
+     * @param {boolean} enabled
+     */
+    setMidiPortEnabled(kind, id, enabled) {
+        const ports = kind === 'input' ? this.midiDevices.enabledInputs : this.midiDevices.enabledOutputs;
+        if (enabled) ports.add(id);
+        else ports.delete(id);
+        try {
+            localStorage.setItem(`piano-midi-ports-${this.canvasId}`, JSON.stringify({
+                inputs: [...this.midiDevices.enabledInputs],
+                outputs: [...this.midiDevices.enabledOutputs],
+            }));
+        } catch (e) {
+            console.error("Could not save MIDI ports.", e);
+        }
+        if (this.midiDevices.synth && this.midiDevices.isAvailable) this._connectMidiPorts();
+    }
+
+    _loadMidiPorts() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(`piano-midi-ports-${this.canvasId}`));
+            if (saved) {
+                this.midiDevices.enabledInputs = new Set(saved.inputs || []);
+                this.midiDevices.enabledOutputs = new Set(saved.outputs || []);
+            }
+        } catch (e) {
+            console.error("Could not load MIDI ports.", e);
+        }
+    }
+
+    /**
+     * Fills the MIDI tab with a switch for every port.
+     */
+    _buildMidiTab() {
+        const { synth, isAvailable, enabledInputs, enabledOutputs } = this.midiDevices;
+        const inputs = isAvailable ? synth.getInputs().filter(port => port.id !== 'internal') : [];
+        const outputs = isAvailable ? synth.getOutputs() : [];
+        const status = isAvailable
+            ? `${inputs.length} input${inputs.length === 1 ? '' : 's'}, ${outputs.length - 1} output${outputs.length === 2 ? '' : 's'}`
+            : (synth ? 'Web MIDI is not available' : 'Connecting...');
+        const portRow = (kind, port, enabled) => new RowControl({ ctx: this.ctx, controls: [
+            new StaticTextControl({ ctx: this.ctx, label: kind === 'input' ? 'In' : 'Out', width: 40 }),
+            new ToggleSwitch({ ctx: this.ctx, id: `midi_${kind}_${port.id}`, label: port.name, initialValue: enabled, onStateChange: (c) => this.setMidiPortEnabled(kind, port.id, c.value) }),
+        ]});
+        const rows = [
+            new RowControl({ ctx: this.ctx, controls: [
+                new ButtonControl({ ctx: this.ctx, id: 'midi_refresh', label: 'Refresh', onClick: () => this._refreshMidiDevices(true) }),
+                new StaticTextControl({ ctx: this.ctx, id: 'midi_status', label: status, width: 200 }),
+            ]}),
+            ...inputs.map(port => portRow('input', port, enabledInputs.has(port.id))),
+            ...outputs.map(port => portRow('output', port, enabledOutputs.has(port.id))),
+        ];
+        const tab = this.drawer.tabs['MIDI'];
+        tab.splice(0, tab.length, ...rows);
+        this.drawer.updateHeight();
+    }
+
     /**
      * Finds the key at a given canvas coordinate.
      * @param {number} x - The x-coordinate.
@@ -722,6 +1336,7 @@ class PianoKeyboard {
             this.keys.filter(k => k.isBlack).forEach(key => this.drawBlackKey(key));
             this.ctx.restore();
         }
+        this.drawChordDisplay(drawerHeight);
         
         this.drawScrollbar();
         this.drawer.draw();
@@ -799,6 +1414,8 @@ class PianoKeyboard {
 
         if (key.isPressed) {
             this.ctx.fillStyle = '#a0c4ff'; // Pressed color
+        } else if (key.isSustained) {
+            this.ctx.fillStyle = '#dbe7ff'; // Released but still held by the pedal
         } else if (isScaleNote || isWhiteKeysMode) {
             this.ctx.fillStyle = '#c8e6c9'; // Solid light green for scale notes
         } else {
@@ -823,6 +1440,8 @@ class PianoKeyboard {
 
         if (key.isPressed) {
             this.ctx.fillStyle = '#7b1fa2'; // Pressed color
+        } else if (key.isSustained) {
+            this.ctx.fillStyle = '#9c6fb0'; // Released but still held by the pedal
         } else if (isScaleNote) {
             this.ctx.fillStyle = '#4caf50'; // Solid dark green for scale notes
         } else {
@@ -897,18 +1516,34 @@ class PianoKeyboard {
     }
 
     // --- Settings Persistence ---
+    /**
+     * Returns the settings and drum machine patterns as a plain object. This is what is kept in
+     * localStorage and what project files store for the keyboard.
+     * @returns {object}
+     */
+    getProjectState() {
+        return JSON.parse(JSON.stringify({
+            settings: this.settings,
+            drumMachineState: { // Only save serializable parts of the drum machine state
+                pattern: this.drumMachineState.pattern,
+                volumes: this.drumMachineState.volumes,
+                swing: this.drumMachineState.swing,
+            }
+        }));
+    }
+
+    /**
+     * Applies state from getProjectState(), updates the drawer controls and saves it as the current settings.
+     * @param {object} state
+     */
+    applyProjectState(state) {
+        this._applySavedState(state);
+        this.saveSettings();
+    }
+
     saveSettings() {
         try {
-            // Create a comprehensive object to save all relevant state
-            const settingsToSave = {
-                settings: this.settings,
-                drumMachineState: { // Only save serializable parts of the drum machine state
-                    pattern: this.drumMachineState.pattern,
-                    volumes: this.drumMachineState.volumes,
-                    swing: this.drumMachineState.swing,
-                }
-            };
-            localStorage.setItem(`piano-settings-${this.canvasId}`, JSON.stringify(settingsToSave));
+            localStorage.setItem(`piano-settings-${this.canvasId}`, JSON.stringify(this.getProjectState()));
         } catch (e) { 
             console.error("Could not save settings.", e); 
         }
@@ -919,26 +1554,39 @@ class PianoKeyboard {
         try {
             const savedStateJSON = localStorage.getItem(`piano-settings-${this.canvasId}`);
             if (savedStateJSON) {
-                const parsedState = JSON.parse(savedStateJSON);
-                
-                // Merge settings, prioritizing saved values over defaults
-                this.settings = { ...this.settings, ...parsedState.settings };
-                
-                // Merge drum machine state carefully
-                if (parsedState.drumMachineState) {
-                    this.drumMachineState.swing = parsedState.drumMachineState.swing || 0;
-                    Object.assign(this.drumMachineState.volumes, parsedState.drumMachineState.volumes);
-                    Object.assign(this.drumMachineState.pattern, parsedState.drumMachineState.pattern);
-                }
-                
-                this.updateControlsFromSettings(); // Apply loaded settings to the UI
-                this._updateScaleMap();          // Recalculate scale map after loading
+                this._applySavedState(JSON.parse(savedStateJSON));
             }
         } catch (e) { 
             console.error("Could not load settings.", e); 
         }
     }
 
+    _applySavedState(parsedState) {
+        const defaultArpeggiator = this.settings.arpeggiator;
+        // Merge settings, prioritizing saved values over defaults
+        this.settings = { ...this.settings, ...parsedState.settings };
+        this.settings.arpeggiator = { ...defaultArpeggiator, ...this.settings.arpeggiator };
+        if (!Array.isArray(this.settings.customScales)) this.settings.customScales = [];
+        // Settings saved before the shared scale catalog used the scale names as types
+        const legacyScaleTypes = { 'Major': 'M', 'Minor': 'm', 'Dorian': 'dorian', 'Phrygian': 'phrygian', 'Lydian': 'lydian',
+            'Mixolydian': 'mixolydian', 'Locrian': 'locrian', 'Pentatonic': 'p', 'Blues': 'b' };
+        const scaleSettings = { ...this.settings.scaleSettings };
+        if (legacyScaleTypes[scaleSettings.scale]) scaleSettings.scale = legacyScaleTypes[scaleSettings.scale];
+        this.settings.scaleSettings = scaleSettings;
+        if (!Array.isArray(this.settings.chordPads)) this.settings.chordPads = this.getChordPadPresets()['Default'];
+        if (!this.settings.arpeggiator.enabled) this._stopArpeggiator();
+        
+        // Merge drum machine state carefully
+        if (parsedState.drumMachineState) {
+            this.drumMachineState.swing = parsedState.drumMachineState.swing || 0;
+            Object.assign(this.drumMachineState.volumes, parsedState.drumMachineState.volumes);
+            Object.assign(this.drumMachineState.pattern, parsedState.drumMachineState.pattern);
+        }
+        
+        this.updateControlsFromSettings(); // Apply loaded settings to the UI
+        this._updateScaleMap();          // Recalculate scale map after loading
+    }
+
     updateControlsFromSettings() {
         const allTabs = this.drawer.tabs;
         
@@ -955,11 +1603,23 @@ class PianoKeyboard {
         });
 
         // Update scale controls
-        allTabs['Scales'].forEach(control => {
-            const settingKey = control.id.replace('scale', '').toLowerCase(); // e.g., 'root', 'type', 'action'
-            if (this.settings.scaleSettings.hasOwnProperty(settingKey)) {
-                control.selectedValue = this.settings.scaleSettings[settingKey];
-            }
+        this._syncCustomScales();
+        const scaleSettingKeys = { scaleRoot: 'root', scaleType: 'scale', scaleAction: 'action' };
+        allTabs['Scales'].flatMap(row => row.controls).forEach(control => {
+            const settingKey = scaleSettingKeys[control.id];
+            if (settingKey) control.selectedValue = this.settings.scaleSettings[settingKey];
+        });
+
+        this._buildChordTab();
+
+        // Update arpeggiator controls
+        allTabs['Arpeggiator'].forEach(row => {
+            row.controls.forEach(control => {
+                const value = this.settings.arpeggiator[control.id.replace('arp_', '')];
+                if (control instanceof PopupSliderControl) control.slider.value = value;
+                else if (control instanceof DropdownControl) control.selectedValue = value;
+                else control.value = value;
+            });
         });
 
         // Update drum machine controls
@@ -9,17 +9,32 @@ class PianoRoll {
     constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.synth = options.synth || window.synth;
+        this.keyboard = options.keyboard || null; // A PianoKeyboard whose settings are saved in project files
+        this.songStore = options.songStore || null; // A SongStore for autosave and the Recent songs list
         this.ctx = canvas.getContext('2d');
         this.onPlayNote = options.onPlayNote || (() => {});
         this.onStopNote = options.onStopNote || (() => {});
         this.onMidiMessage = options.onMidiMessage || (() => {});
         this.bpm = options.bpm || 120;
         this.MAX_HISTORY = 25;
+        this.PROJECT_FORMAT = 'pianoroll-project';
+        this.PROJECT_VERSION = 1; // Bump with a migration in _migrateProject when the format changes
         this.resizeTimer = null;
+        this.autosaveTimer = null;
+        this.AUTOSAVE_DELAY = 1000; // ms after the last edit
+        this.timingCache = null; // Tempo map, time-signature map and bars; see _getTimingCache
 
         this.config = {
             noteHeight: 16,
-            beatWidth: 64,
+            beatWidth: 64, // Pixels per quarter note; both change with zoom
+            minBeatWidth: 4,
+            maxBeatWidth: 512,
+            minNoteHeight: 6,
+            maxNoteHeight: 48,
+            zoomStep: 1.25, // Factor of one zoom button press
+            minGridSpacing: 8, // Pixels between grid lines before they are thinned out
+            minLabelSpacing: 48, // ...and between bar numbers in the timeline
+            minSubdivisionSpacing: 40, // Beats split into eighths and sixteenths once these are this wide
             totalBeats: 128,
             totalPitches: 128,
             keysWidth: 100,
@@ -32,6 +47,7 @@ class PianoRoll {
             gridBgLight: 'rgba(255,255,255,0.05)',
             gridLineLight: '#505355',
             gridLineDark: '#626567',
+            gridSubdivisionColor: 'rgba(80,83,85,0.5)',
             noteStrokeColor: '#00000088',
             noteSelectedStrokeColor: '#fdd835',
             playheadColor: '#ff5252',
@@ -39,7 +55,23 @@ class PianoRoll {
             scrollbarThumb: '#5c6370',
             timelineBg: '#323842',
             timelineFontColor: '#abb2bf',
-            bgColor: '#282c34'
+            laneBg: '#21252b',
+            laneHandleColor: '#5c6370',
+            laneHandleHeight: 6,
+            laneMinHeight: 40,
+            tempoMarkerColor: '#e5c07b',
+            markerColor: '#c678dd',
+            lyricColor: '#98c379',
+            beatShadeColor: 'rgba(255,255,255,0.03)',
+            scaleKeyColor: 'rgba(152,195,121,0.45)',
+            scaleRowColor: 'rgba(152,195,121,0.08)',
+            loopColor: 'rgba(97,175,239,0.35)',
+            loopDisabledColor: 'rgba(171,178,191,0.15)',
+            loopHandleWidth: 6,
+            bgColor: '#282c34',
+            scheduleInterval: 25, // ms between scheduler runs
+            scheduleAhead: 0.1, // Seconds of events sent to the synth ahead of time
+            hiddenScheduleAhead: 1.5 // ...and while the page is in the background
         };
 
         this.CHANNEL_COLORS = [
@@ -48,6 +80,19 @@ class PianoRoll {
             '#FFF176', '#FFD54F', '#FFB74D', '#FF8A65'
         ];
 
+        // Controllers offered by name in the lane selector; any other CC number can be picked from the Lanes tab
+        this.CC_NAMES = { 1: 'Modulation', 7: 'Volume', 10: 'Pan', 11: 'Expression', 64: 'Sustain' };
+
+        // Built-in grooves. Each step of the grid has a timing offset, in steps, and a velocity in percent.
+        // MPC swing delays every second 16th so the pair splits at the given percentage; 66% is a triplet feel.
+        const mpcSwing = (percent) => ({ name: `MPC Swing ${percent}%`, stepsPerBeat: 4, timing: [0, (percent * 2 - 100) / 100], velocity: [100, 100] });
+        this.GROOVE_TEMPLATES = [
+            mpcSwing(54), mpcSwing(58), mpcSwing(62), mpcSwing(66), mpcSwing(71),
+            { name: 'Shuffle', stepsPerBeat: 2, timing: [0, 1 / 3], velocity: [100, 85] },
+            { name: 'Laid Back', stepsPerBeat: 4, timing: [0.1, 0.2, 0.15, 0.25], velocity: [100, 88, 95, 85] },
+        ];
+        this.GROOVE_STORAGE_KEY = 'pianoroll-grooves';
+
         this.state = {
             notes: [],
             ppqn: 96,
@@ -61,8 +106,9 @@ class PianoRoll {
             songDurationTicks: 0,
             isPlaying: false,
             playheadTick: 0,
-            lastFrameTime: 0,
             lookaheadEvents: [],
+            // Audio-clock scheduler; sounding maps each note that was sent to its voice
+            transport: { timer: null, anchorTime: 0, anchorTick: 0, wrapTime: null, scheduledTick: 0, cursor: 0, sounding: new Map() },
             isDragging: false,
             wasAddingNote: false,
             isResizing: false,
@@ -78,12 +124,45 @@ class PianoRoll {
             resizeStartTicks: 0,
             marquee: { x1: 0, y1: 0, x2: 0, y2: 0 },
             lastMousePos: { x: 0, y: 0 },
+            isPointerOver: false, // Edit shortcuts only apply while the pointer is over the piano roll (or it has focus)
             undoHistory: [],
             redoHistory: [],
             soundOnAdd: null,
             playheadLastDraggedTime: 0,
             mutedChannels: new Set(),
             hiddenChannels: new Set(),
+            quantize: { division: 24, strength: 100, swing: 0, triplet: false, quantizeEnds: false },
+            clipboard: [],
+            laneVisible: true,
+            laneHeight: 80,
+            isResizingLane: false,
+            laneDrag: null,
+            loop: { enabled: false, start: 0, end: 96 * 16 }, // Ticks; the default is four bars of 4/4
+            loopDrag: null,
+            midiFormat: 0, // Standard MIDI File format written by saveToMidi
+            tracks: [], // Tracks of the imported MIDI file; notes and events refer to them by index
+            isRecording: false,
+            isCountingIn: false,
+            metronomeEnabled: false,
+            countInBars: 0,
+            countInTimers: [],
+            countInResolve: null,
+            // openNotes maps pitch -> note still held; take holds everything recorded in the current pass
+            recording: { mode: 'overdub', quantize: 0, startTick: 0, openNotes: new Map(), take: new Set(), controllers: new Map() },
+            laneType: 'velocity', // 'velocity', 'pitchBend', 'program' or 'cc<number>'
+            laneLastTap: null,
+            resizeStartLaneHeight: 0,
+            audioExport: null, // { cancelled, cancel } while Export Audio is rendering
+            songId: null, // Song store id of the open composition; null until it is first saved
+            songName: '',
+            recentSongs: [], // { id, name, updated } from the song store, newest first
+            scale: { root: 0, type: 'None', snap: false }, // type is from the synth's scale catalog
+            transpose: { mode: 'chromatic', amount: 0, target: 'selection', includeDrums: false },
+            humanize: { timing: 8, velocity: 10, length: 10 }, // Ticks, velocity steps and percent, either way
+            groove: { name: 'MPC Swing 58%', amount: 100 },
+            userGrooves: [], // Grooves taken from notes with Extract; the built-in ones are GROOVE_TEMPLATES
+            pinch: null, // { spreadX, spreadY, beatWidth, noteHeight } from when the second finger touched
+            touchUndo: null, // { top }: the newest undo snapshot when one finger touched, so a pinch can tell if that touch took one
         };
 
         this.eventBroker = new EventBroker(); 
@@ -99,12 +178,22 @@ class PianoRoll {
         this.eventBroker.drawer = this.drawer; // Link the drawer to the broker
         this._boundOnInteractionMove = this._onInteractionMove.bind(this);
         this._boundOnInteractionEnd = this._onInteractionEnd.bind(this);
+        this._boundOnKeyDown = this._onKeyDown.bind(this);
 
         this._init();
     }
 
     _initDialogs() {
-        return {  }; // Only standard dialogs needed for now
+        return {
+            'Export Audio': [
+                new RowControl({ ctx: this.ctx, id: 'exportAudioRow', controls: [
+                    new StaticTextControl({ ctx: this.ctx, id: 'exportAudioProgress', label: 'Rendering audio...', width: 200, height: 50 }),
+                ]}),
+                new RowControl({ ctx: this.ctx, id: 'exportAudioButtonRow', controls: [
+                    new ButtonControl({ ctx: this.ctx, id: 'exportAudioCancel', label: 'Cancel', onClick: () => this._cancelAudioExport() }),
+                ]}),
+            ],
+        };
     }
 
     _initTabs() {
@@ -116,7 +205,29 @@ class PianoRoll {
             { text: '𝅝', value: ppqn * 4 },
         ];
         const channelOptions = Array.from({length: 16}, (_, i) => ({ text: `Ch ${i + 1}`, value: i }));
+        const gridOptions = [
+            { text: '𝅘𝅥𝅰', value: ppqn / 8 }, { text: '𝅘𝅥𝅯', value: ppqn / 4 },
+            { text: '♪', value: ppqn / 2 }, { text: '♩', value: ppqn },
+            { text: '𝅗𝅥', value: ppqn * 2 },
+        ];
         
+        const timeSignatureOptions = ['2/4', '3/4', '4/4', '5/4', '6/8', '7/8', '9/8', '12/8']
+            .map(signature => ({ text: signature, value: signature }));
+        const midiFormatOptions = [{ text: 'Format 0', value: 0 }, { text: 'Format 1', value: 1 }];
+        const recordModeOptions = [{ text: 'Overdub', value: 'overdub' }, { text: 'Replace', value: 'replace' }];
+        const inputQuantizeOptions = [{ text: 'Off', value: 0 }, ...gridOptions.slice(0, 4)];
+        const countInOptions = [{ text: 'Off', value: 0 }, { text: '1 Bar', value: 1 }, { text: '2 Bars', value: 2 }];
+        const transposeModeOptions = [{ text: 'Semitones', value: 'chromatic' }, { text: 'Octaves', value: 'octave' }, { text: 'Scale Steps', value: 'diatonic' }];
+        const transposeTargetOptions = [{ text: 'Selection', value: 'selection' }, { text: 'Channel', value: 'channel' }, { text: 'Song', value: 'song' }];
+        const keyOptions = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"].map((text, value) => ({ text, value }));
+        const laneOptions = [
+            { text: 'Velocity', value: 'velocity' },
+            ...Object.entries(this.CC_NAMES).map(([number, name]) => ({ text: name, value: `cc${number}` })),
+            { text: 'Pitch Bend', value: 'pitchBend' },
+            { text: 'Program', value: 'program' },
+            { text: 'Tempo', value: 'tempo' },
+        ];
+
         const onStateChange = (control) => this._onDrawerStateChange(control);
 
         const trackMapper = [10, 1, 2, 3, 4, 5, 6, 7, 8, 9, 11, 12, 13, 14, 15, 16];
@@ -131,6 +242,8 @@ class PianoRoll {
                         label: `${trackNumber}`, 
                         color: this.CHANNEL_COLORS[trackNumber - 1] 
                     }),
+                    // Name of the imported MIDI track playing on this channel
+                    new StaticTextControl({ ctx: this.ctx, id: `trackName${trackNumber}`, label: '', width: 140 }),
                     // Hook up the InstrumentControl
                     new InstrumentControl({ 
                         ctx: this.ctx, 
@@ -178,50 +291,141 @@ class PianoRoll {
         // return the structure for the drawer tabs
         return {
             'File': [
-                new ButtonControl({ 
-                    id: 'load',
-                    ctx: this.ctx, 
-                    autoSize: true, 
-                    label: 'Load MIDI', 
-                    onClick: () => this._loadMidiFile(), // This calls the method to open a file dialog
-                    onStateChange 
-                }),
-                new ButtonControl({ 
-                    id: 'save',
-                    ctx: this.ctx, 
-                    autoSize: true, 
-                    label: 'Save MIDI', 
-                    onClick: () => this._saveMidiFile(), // This calls the method to save the file
-                    onStateChange 
-                })
+                new RowControl({ ctx: this.ctx, id: 'fileRow', controls: [
+                    new ButtonControl({ 
+                        id: 'load',
+                        ctx: this.ctx, 
+                        autoSize: true, 
+                        label: 'Load MIDI', 
+                        onClick: () => this._loadMidiFile(), // This calls the method to open a file dialog
+                        onStateChange 
+                    }),
+                    new ButtonControl({ 
+                        id: 'save',
+                        ctx: this.ctx, 
+                        autoSize: true, 
+                        label: 'Save MIDI', 
+                        onClick: () => this._saveMidiFile(), // This calls the method to save the file
+                        onStateChange 
+                    }),
+                    new DropdownControl({ ctx: this.ctx, id: 'midiFormat', label: 'Format', options: midiFormatOptions, width: 110, initialValue: this.state.midiFormat, onSelect: (val) => this.state.midiFormat = val, onStateChange }),
+                    new ButtonControl({ 
+                        id: 'exportAudio',
+                        ctx: this.ctx, 
+                        autoSize: true, 
+                        label: 'Export Audio', 
+                        onClick: () => this._exportAudio(), // Renders the song offline and saves it as a WAV file
+                        onStateChange 
+                    }),
+                    new ButtonControl({ id: 'loadProject', ctx: this.ctx, autoSize: true, label: 'Load Project', onClick: () => this._loadProjectFile(), onStateChange }),
+                    new ButtonControl({ id: 'saveProject', ctx: this.ctx, autoSize: true, label: 'Save Project', onClick: () => this._saveProjectFile(), onStateChange }),
+                ]}),
+                new RowControl({ ctx: this.ctx, id: 'recentRow', controls: [
+                    new DropdownControl({ ctx: this.ctx, id: 'recentSongs', label: 'Recent', options: [{ text: 'No saved songs', value: null }], width: 220, initialValue: null, onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'openSong', label: 'Open', onClick: () => this._openSelectedSong(), onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'renameSong', label: 'Rename', onClick: () => this._renameSelectedSong(), onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'deleteSong', label: 'Delete', onClick: () => this._deleteSelectedSong(), onStateChange }),
+                ]}),
             ],
             'Edit': [
-                new ButtonControl({ ctx: this.ctx, id: 'add', label: 'Add', isActive: () => this.state.mode === 'add', onClick: () => this.setMode('add'), onStateChange }),
-                new ButtonControl({ ctx: this.ctx, id: 'select',label: 'Select', isActive: () => this.state.mode === 'select', onClick: () => this.setMode('select'), onStateChange }),
-                new ButtonControl({ ctx: this.ctx, id: 'pan', label: 'Pan', isActive: () => this.state.mode === 'pan', onClick: () => this.setMode('pan'), onStateChange }),
-                new ButtonControl({ ctx: this.ctx, id: 'delete', label: 'Delete', onClick: () => this._deleteNotes(), onStateChange }),
-                new ButtonControl({ ctx: this.ctx, id: 'undo', label: '↶ Undo', isActive: () => this.state.undoHistory.length > 0, onClick: () => this.undo(), onStateChange }),
-                new ButtonControl({ ctx: this.ctx, id: 'redo', label: '↷ Redo', isActive: () => this.state.redoHistory.length > 0, onClick: () => this.redo(), onStateChange }),
-                new DropdownControl({ ctx: this.ctx, id: 'channel', label: 'Channel', options: channelOptions, initialValue: this.state.currentChannel, onSelect: (val) => this.setCurrentChannel(val), onStateChange }),
-                new DropdownControl({ ctx: this.ctx, id: 'size', label: 'Size', options: sizeOptions, width: 60, showLabel: false, initialValue: this.state.noteSize, onSelect: (val) => this.state.noteSize = val, onStateChange }),
+                new RowControl({ ctx: this.ctx, id: 'editRow', controls: [
+                    new ButtonControl({ ctx: this.ctx, id: 'add', label: 'Add', isActive: () => this.state.mode === 'add', onClick: () => this.setMode('add'), onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'select',label: 'Select', isActive: () => this.state.mode === 'select', onClick: () => this.setMode('select'), onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'pan', label: 'Pan', isActive: () => this.state.mode === 'pan', onClick: () => this.setMode('pan'), onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'delete', label: 'Delete', onClick: () => this._deleteNotes(), onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'undo', label: '↶ Undo', isActive: () => this.state.undoHistory.length > 0, onClick: () => this.undo(), onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'redo', label: '↷ Redo', isActive: () => this.state.redoHistory.length > 0, onClick: () => this.redo(), onStateChange }),
+                    new DropdownControl({ ctx: this.ctx, id: 'channel', label: 'Channel', options: channelOptions, initialValue: this.state.currentChannel, onSelect: (val) => this.setCurrentChannel(val), onStateChange }),
+                    new DropdownControl({ ctx: this.ctx, id: 'size', label: 'Size', options: sizeOptions, width: 60, showLabel: false, initialValue: this.state.noteSize, onSelect: (val) => this.state.noteSize = val, onStateChange }),
+                ]}),
+                new RowControl({ ctx: this.ctx, id: 'clipboardRow', controls: [
+                    new ButtonControl({ ctx: this.ctx, id: 'copy', label: 'Copy', onClick: () => this._copyNotes(), onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'cut', label: 'Cut', onClick: () => this._cutNotes(), onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'paste', label: 'Paste', isActive: () => this.state.clipboard.length > 0, onClick: () => this._pasteNotes(), onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'duplicate', label: 'Duplicate', onClick: () => this._duplicateNotes(), onStateChange }),
+                ]}),
+                new RowControl({ ctx: this.ctx, id: 'quantizeRow', controls: [
+                    new ButtonControl({ ctx: this.ctx, id: 'quantize', label: 'Quantize', onClick: () => this._quantizeNotes(), onStateChange }),
+                    new DropdownControl({ ctx: this.ctx, id: 'quantizeGrid', label: 'Grid', options: gridOptions, width: 80, initialValue: this.state.quantize.division, onSelect: (val) => this.state.quantize.division = val, onStateChange }),
+                    new PopupSliderControl({ ctx: this.ctx, id: 'quantizeStrength', label: 'Strength', min: 0, max: 100, initialValue: this.state.quantize.strength, width: 110, height: 120, onStateChange: (c) => this.state.quantize.strength = c.slider.value }),
+                    new PopupSliderControl({ ctx: this.ctx, id: 'quantizeSwing', label: 'Swing', min: 0, max: 100, initialValue: this.state.quantize.swing, width: 100, height: 120, onStateChange: (c) => this.state.quantize.swing = c.slider.value }),
+                    new ToggleSwitch({ ctx: this.ctx, id: 'quantizeTriplet', label: 'Triplet', initialValue: this.state.quantize.triplet, onStateChange: (c) => this.state.quantize.triplet = c.value }),
+                    new ToggleSwitch({ ctx: this.ctx, id: 'quantizeEnds', label: 'Quantize Ends', initialValue: this.state.quantize.quantizeEnds, onStateChange: (c) => this.state.quantize.quantizeEnds = c.value }),
+                ]}),
+                new RowControl({ ctx: this.ctx, id: 'scaleRow', controls: [
+                    new DropdownControl({ ctx: this.ctx, id: 'scaleRoot', label: 'Key', options: keyOptions, width: 60, initialValue: this.state.scale.root, onSelect: (val) => this.setScale(val, this.state.scale.type), onStateChange }),
+                    new DropdownControl({ ctx: this.ctx, id: 'scaleType', label: 'Scale', options: this._getScaleOptions(), width: 160, initialValue: this.state.scale.type, onSelect: (val) => this.setScale(this.state.scale.root, val), onStateChange }),
+                    new ToggleSwitch({ ctx: this.ctx, id: 'snapToScale', label: 'Snap to Scale', initialValue: this.state.scale.snap, onStateChange: (c) => this.setSnapToScale(c.value) }),
+                    new ButtonControl({ ctx: this.ctx, id: 'conformToScale', label: 'Conform to Scale', autoSize: true, onClick: () => this._conformSelectionToScale(), onStateChange }),
+                ]}),
+                new RowControl({ ctx: this.ctx, id: 'transposeRow', controls: [
+                    new ButtonControl({ ctx: this.ctx, id: 'transpose', label: 'Transpose', autoSize: true, onClick: () => this.transpose(), onStateChange }),
+                    new PopupSliderControl({ ctx: this.ctx, id: 'transposeAmount', label: 'By', min: -24, max: 24, initialValue: this.state.transpose.amount, width: 70, height: 160, onStateChange: (c) => this.state.transpose.amount = c.slider.value }),
+                    new DropdownControl({ ctx: this.ctx, id: 'transposeMode', label: 'Unit', options: transposeModeOptions, width: 110, initialValue: this.state.transpose.mode, onSelect: (val) => this.state.transpose.mode = val, onStateChange }),
+                    new DropdownControl({ ctx: this.ctx, id: 'transposeTarget', label: 'Apply To', options: transposeTargetOptions, width: 100, initialValue: this.state.transpose.target, onSelect: (val) => this.state.transpose.target = val, onStateChange }),
+                    new ToggleSwitch({ ctx: this.ctx, id: 'transposeDrums', label: 'Include Drums', initialValue: this.state.transpose.includeDrums, onStateChange: (c) => this.state.transpose.includeDrums = c.value }),
+                ]}),
+                new RowControl({ ctx: this.ctx, id: 'humanizeRow', controls: [
+                    new ButtonControl({ ctx: this.ctx, id: 'humanize', label: 'Humanize', autoSize: true, onClick: () => this.humanize(), onStateChange }),
+                    new PopupSliderControl({ ctx: this.ctx, id: 'humanizeTiming', label: 'Timing', min: 0, max: 48, initialValue: this.state.humanize.timing, width: 100, height: 120, onStateChange: (c) => this.state.humanize.timing = c.slider.value }),
+                    new PopupSliderControl({ ctx: this.ctx, id: 'humanizeVelocity', label: 'Velocity', min: 0, max: 64, initialValue: this.state.humanize.velocity, width: 110, height: 120, onStateChange: (c) => this.state.humanize.velocity = c.slider.value }),
+                    new PopupSliderControl({ ctx: this.ctx, id: 'humanizeLength', label: 'Length %', min: 0, max: 50, initialValue: this.state.humanize.length, width: 110, height: 120, onStateChange: (c) => this.state.humanize.length = c.slider.value }),
+                ]}),
+                new RowControl({ ctx: this.ctx, id: 'grooveRow', controls: [
+                    new ButtonControl({ ctx: this.ctx, id: 'applyGroove', label: 'Apply Groove', autoSize: true, onClick: () => this.applyGroove(), onStateChange }),
+                    new DropdownControl({ ctx: this.ctx, id: 'groove', label: 'Groove', options: [], width: 150, initialValue: this.state.groove.name, onSelect: (val) => this.state.groove.name = val, onStateChange }),
+                    new PopupSliderControl({ ctx: this.ctx, id: 'grooveAmount', label: 'Amount', min: 0, max: 100, initialValue: this.state.groove.amount, width: 110, height: 120, onStateChange: (c) => this.state.groove.amount = c.slider.value }),
+                    new ButtonControl({ ctx: this.ctx, id: 'extractGroove', label: 'Extract', onClick: () => this.extractGroove(), onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'deleteGroove', label: 'Delete', onClick: () => this._deleteGroove(), onStateChange }),
+                ]}),
             ],
             'Tracks': [
                 ...tracks,
             ],
+            'Lanes': [
+                new RowControl({ ctx: this.ctx, id: 'laneRow', controls: [
+                    new ToggleSwitch({ ctx: this.ctx, id: 'laneVisible', label: 'Show Lane', initialValue: this.state.laneVisible, onStateChange: (c) => this.setLaneVisible(c.value) }),
+                    new DropdownControl({ ctx: this.ctx, id: 'laneType', label: 'Lane', options: laneOptions, width: 110, initialValue: this.state.laneType, onSelect: (val) => this.setLaneType(val), onStateChange }),
+                    new PopupSliderControl({ ctx: this.ctx, id: 'laneCC', label: 'CC #', min: 0, max: 127, initialValue: 7, width: 80, height: 120, onStateChange: (c) => this.setLaneType(`cc${c.slider.value}`) }),
+                ]}),
+            ],
+            'View': [
+                new RowControl({ ctx: this.ctx, id: 'zoomRow', controls: [
+                    new ButtonControl({ ctx: this.ctx, id: 'zoomOutX', label: '↔ −', onClick: () => this.zoomBy(1 / this.config.zoomStep, 1), onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'zoomInX', label: '↔ +', onClick: () => this.zoomBy(this.config.zoomStep, 1), onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'zoomOutY', label: '↕ −', onClick: () => this.zoomBy(1, 1 / this.config.zoomStep), onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'zoomInY', label: '↕ +', onClick: () => this.zoomBy(1, this.config.zoomStep), onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'zoomToSelection', label: 'Zoom to Selection', autoSize: true, onClick: () => this.zoomToSelection(), onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'zoomToFit', label: 'Zoom to Fit', autoSize: true, onClick: () => this.zoomToFit(), onStateChange }),
+                ]}),
+            ],
             'Playback': [
-                new ButtonControl({ ctx: this.ctx, id: 'play', label: 'Play', isActive: () => this.state.isPlaying, onClick: () => this.state.isPlaying ? this.pause() : this.play(), onStateChange }),
-                new ButtonControl({ ctx: this.ctx, id: 'stop', label: 'Stop', onClick: () => this.stop(), onStateChange }),
-                new PopupSliderControl({ ctx: this.ctx, id: 'bpm', label: `Tempo`, min: 40, max: 240, height: 120, initialValue: this.bpm, width: 100, onStateChange }),
-                new ToggleSwitch({ ctx: this.ctx, id: 'playOnClick', label: 'Play on Click', initialValue: this.state.playOnClick, onStateChange: (c) => this.setPlayOnClick(c.value) }),
+                new RowControl({ ctx: this.ctx, id: 'transportRow', controls: [
+                    new ButtonControl({ ctx: this.ctx, id: 'play', label: 'Play', isActive: () => this.state.isPlaying || (this.state.isCountingIn && !this.state.isRecording), onClick: () => this.state.isPlaying ? this.pause() : this.play(), onStateChange }),
+                    new ButtonControl({ ctx: this.ctx, id: 'stop', label: 'Stop', onClick: () => this.stop(), onStateChange }),
+                    new PopupSliderControl({ ctx: this.ctx, id: 'bpm', label: `Tempo`, min: 40, max: 240, height: 120, initialValue: this.bpm, width: 100, onStateChange }),
+                    new ToggleSwitch({ ctx: this.ctx, id: 'loop', label: 'Loop', initialValue: this.state.loop.enabled, onStateChange: (c) => this.setLoopEnabled(c.value) }),
+                    new DropdownControl({ ctx: this.ctx, id: 'timeSignature', label: 'Time Sig', options: timeSignatureOptions, width: 70, initialValue: '4/4', onSelect: (val) => this.setTimeSignature(val), onStateChange }),
+                    new ToggleSwitch({ ctx: this.ctx, id: 'playOnClick', label: 'Play on Click', initialValue: this.state.playOnClick, onStateChange: (c) => this.setPlayOnClick(c.value) }),
+                ]}),
+                new RowControl({ ctx: this.ctx, id: 'recordRow', controls: [
+                    new ButtonControl({ ctx: this.ctx, id: 'record', label: '● Record', isActive: () => this.state.isRecording || this.state.isCountingIn, onClick: () => this.toggleRecord(), onStateChange }),
+                    new DropdownControl({ ctx: this.ctx, id: 'recordMode', label: 'Mode', options: recordModeOptions, width: 90, initialValue: this.state.recording.mode, onSelect: (val) => this.state.recording.mode = val, onStateChange }),
+                    new DropdownControl({ ctx: this.ctx, id: 'inputQuantize', label: 'Input Q', options: inputQuantizeOptions, width: 70, initialValue: this.state.recording.quantize, onSelect: (val) => this.state.recording.quantize = val, onStateChange }),
+                ]}),
+                new RowControl({ ctx: this.ctx, id: 'metronomeRow', controls: [
+                    new ToggleSwitch({ ctx: this.ctx, id: 'metronome', label: 'Metronome', initialValue: this.state.metronomeEnabled, onStateChange: (c) => this.setMetronomeEnabled(c.value) }),
+                    new DropdownControl({ ctx: this.ctx, id: 'countIn', label: 'Count-in', options: countInOptions, width: 80, initialValue: this.state.countInBars, onSelect: (val) => this.state.countInBars = val, onStateChange }),
+                ]}),
             ]
         };
     }
 
     // ADD a new method to handle state changes from the drawer
     _onDrawerStateChange(control) {
-        // Update BPM from the PopupSliderControl
-        if (control instanceof PopupSliderControl) {
-            this.bpm = control.slider.value;
+        // Update BPM from the tempo slider
+        if (control && control.id === 'bpm') { // Tab switches call this with no control
+            this.setBpm(control.slider.value);
         }
         // Redraw is handled by the animation loop, so this can often be empty
     }
@@ -239,20 +443,383 @@ class PianoRoll {
         this._saveStateForUndo(); 
         this.state.notes = this.state.notes.filter(n => !this.state.selectedNotes.includes(n)); 
         this.state.selectedNotes = []; 
-        this.state.lookaheadEvents = []; 
+        if (this.state.isPlaying) this._buildLookaheadEvents(); 
         this._recalculateSongDuration(); 
+        this._scheduleAutosave(); 
         this.draw(); 
     };
 
+    // --- CLIPBOARD ---
+    // The clipboard holds copies of notes with start ticks relative to the earliest
+    // copied note, so a paste keeps the original rhythm, pitch and channel.
+    async _copyNotes() {
+        const notes = this.state.selectedNotes.filter(n => n.type !== 'other');
+        if (notes.length === 0) {
+            this.drawer.dialogs['Error'][0].controls[0].label = 'No notes selected to copy.';
+            await this.drawer.openDialog('Error');
+            return false;
+        }
+        const firstTick = Math.min(...notes.map(n => n.start_tick));
+        this.state.clipboard = notes.map(n => ({ ...n, start_tick: n.start_tick - firstTick }));
+        return true;
+    }
+
+    async _cutNotes() {
+        if (!(await this._copyNotes())) return;
+        this._saveStateForUndo();
+        this.state.notes = this.state.notes.filter(n => !this.state.selectedNotes.includes(n));
+        this.state.selectedNotes = [];
+        if (this.state.isPlaying) this._buildLookaheadEvents();
+        this._recalculateSongDuration();
+        this._scheduleAutosave();
+        this.draw();
+    }
+
+    async _pasteNotes() {
+        if (this.state.clipboard.length === 0) {
+            this.drawer.dialogs['Error'][0].controls[0].label = 'Nothing to paste. Copy some notes first.';
+            await this.drawer.openDialog('Error');
+            return;
+        }
+        this._insertNotes(this.state.clipboard, Math.round(this.state.playheadTick));
+    }
+
+    async _duplicateNotes() {
+        const notes = this.state.selectedNotes.filter(n => n.type !== 'other');
+        if (notes.length === 0) {
+            this.drawer.dialogs['Error'][0].controls[0].label = 'No notes selected to duplicate.';
+            await this.drawer.openDialog('Error');
+            return;
+        }
+        const firstTick = Math.min(...notes.map(n => n.start_tick));
+        const lastTick = Math.max(...notes.map(n => n.start_tick + n.duration_ticks));
+        const copies = notes.map(n => ({ ...n, start_tick: n.start_tick - firstTick }));
+        this._insertNotes(copies, lastTick);
+    }
+
+    // Adds copies of relative-timed notes at the given tick and selects them.
+    _insertNotes(relativeNotes, atTick) {
+        this._saveStateForUndo();
+        const newNotes = relativeNotes.map(n => ({ ...n, start_tick: n.start_tick + atTick }));
+        this.state.notes.push(...newNotes);
+        this.state.selectedNotes = newNotes;
+        this._recalculateSongDuration();
+        if (this.state.isPlaying) this._buildLookaheadEvents();
+        this._scheduleAutosave();
+        this.draw();
+    }
+
+    async _quantizeNotes() {
+        const notes = this.state.selectedNotes.filter(n => n.type !== 'other');
+        if (notes.length === 0) {
+            this.drawer.dialogs['Error'][0].controls[0].label = 'No notes selected to quantize.';
+            await this.drawer.openDialog('Error');
+            return;
+        }
+        const { division, strength, swing, triplet, quantizeEnds } = this.state.quantize;
+        // A triplet grid fits three steps into the space of two.
+        const grid = triplet ? division * 2 / 3 : division;
+        const amount = strength / 100;
+
+        this._saveStateForUndo();
+        notes.forEach(n => {
+            const endTick = n.start_tick + n.duration_ticks;
+            const targetStart = this._quantizeTick(n.start_tick, grid, swing);
+            const newStart = Math.round(n.start_tick + (targetStart - n.start_tick) * amount);
+            let newEnd = newStart + n.duration_ticks;
+            if (quantizeEnds) {
+                // Never let the end collapse onto the start; keep at least one grid step.
+                let targetEnd = this._quantizeTick(endTick, grid, swing);
+                if (targetEnd <= targetStart) targetEnd = targetStart + grid;
+                newEnd = Math.round(endTick + (targetEnd - endTick) * amount);
+            }
+            n.start_tick = Math.max(0, newStart);
+            n.duration_ticks = Math.max(this.state.ppqn / 16, newEnd - n.start_tick);
+        });
+        this._recalculateSongDuration();
+        if (this.state.isPlaying) this._buildLookaheadEvents();
+        this._scheduleAutosave();
+        this.draw();
+    }
+
+    // --- SCALE ---
+    // Scales come from the synth's shared catalog, so scales added on the keyboard are offered here too.
+    // Notes on the drum channel are left alone by snapping and conforming.
+    /**
+     * Sets the key and scale used for row shading, snapping and Conform.
+     * @param {number} root - Pitch class of the key, 0 (C) to 11 (B).
+     * @param {string} type - A scale type from the synth's getScaleTypes(), or 'None'.
+     */
+    setScale(root, type) {
+        this.state.scale.root = root;
+        this.state.scale.type = type;
+        const controls = this.drawer.tabs['Edit'].flatMap(r => r.controls);
+        controls.find(c => c.id === 'scaleRoot').selectedValue = root;
+        controls.find(c => c.id === 'scaleType').selectedValue = type;
+        this.draw();
+    }
+
+    setSnapToScale(enabled) {
+        this.state.scale.snap = enabled;
+        this.drawer.tabs['Edit'].flatMap(r => r.controls).find(c => c.id === 'snapToScale').value = enabled;
+    }
+
+    /**
+     * Re-reads the scale catalog into the Scale menu, e.g. after the user adds a scale on the keyboard.
+     */
+    refreshScaleOptions() {
+        const control = this.drawer.tabs['Edit'].flatMap(r => r.controls).find(c => c.id === 'scaleType');
+        control.options = this._getScaleOptions();
+        if (!control.options.some(o => o.value === this.state.scale.type)) this.setScale(this.state.scale.root, 'None');
+    }
+
+    _getScaleOptions() {
+        const scaleTypes = this.synth && this.synth.getScaleTypes ? this.synth.getScaleTypes() : [];
+        return [{ text: 'None', value: 'None' }, ...scaleTypes.map(s => ({ text: s.fullName, value: s.type }))];
+    }
+
+    // Returns the set of pitch classes in the current scale, or null when no scale is set
+    _getScalePitchClasses() {
+        const { root, type } = this.state.scale;
+        if (type === 'None' || !this.synth || !this.synth.getScale) return null;
+        const scale = this.synth.getScale(type);
+        return scale ? new Set(scale.notes.map(n => (n + root) % 12)) : null;
+    }
+
+    // Moves a pitch to the nearest scale degree; ties go down
+    _snapPitchToScale(pitch, pitchClasses = this._getScalePitchClasses()) {
+        if (!pitchClasses) return pitch;
+        for (let distance = 0; distance < 12; distance++) {
+            if (pitch - distance >= 0 && pitchClasses.has((pitch - distance) % 12)) return pitch - distance;
+            if (pitch + distance <= 127 && pitchClasses.has((pitch + distance) % 12)) return pitch + distance;
+        }
+        return pitch;
+    }
+
+    _isSnappedToScale(note) {
+        return this.state.scale.snap && note.channel !== 9;
+    }
+
+    async _conformSelectionToScale() {
+        const pitchClasses = this._getScalePitchClasses();
+        const notes = this.state.selectedNotes.filter(n => n.type !== 'other' && n.channel !== 9);
+        if (!pitchClasses || notes.length === 0) {
+            this.drawer.dialogs['Error'][0].controls[0].label = pitchClasses ? 'No notes selected to conform.' : 'Choose a scale first.';
+            await this.drawer.openDialog('Error');
+            return;
+        }
+        this._saveStateForUndo();
+        notes.forEach(n => { n.pitch = this._snapPitchToScale(n.pitch, pitchClasses); });
+        if (this.state.isPlaying) this._buildLookaheadEvents();
+        this._scheduleAutosave();
+        this.draw();
+    }
+
+    // --- TRANSPOSE ---
+    /**
+     * Transposes notes using the settings in the Edit tab.
+     * Scale steps move notes along the piano roll's key and scale, so C-E-G up one step in C major becomes D-F-A.
+     * Drum notes are only moved when Include Drums is on, and notes stop at the ends of the MIDI range.
+     * @param {object} [options] - { mode: 'chromatic'|'octave'|'diatonic', amount, target: 'selection'|'channel'|'song', includeDrums }
+     */
+    async transpose(options = this.state.transpose) {
+        const { mode, amount, target, includeDrums } = options;
+        const s = this.state;
+        const fail = async (message) => {
+            this.drawer.dialogs['Error'][0].controls[0].label = message;
+            await this.drawer.openDialog('Error');
+        };
+        const candidates = target === 'selection' ? s.selectedNotes
+            : target === 'channel' ? s.notes.filter(n => n.channel === s.currentChannel)
+            : s.notes;
+        const notes = candidates.filter(n => n.type !== 'other' && (includeDrums || n.channel !== 9));
+        if (notes.length === 0) return fail(target === 'selection' ? 'No notes selected to transpose.' : 'There are no notes to transpose.');
+        if (mode === 'diatonic' && this._getScalePitchClasses() === null) return fail('Choose a key and scale to transpose by scale steps.');
+        if (amount === 0) return;
+
+        const pitchMap = this._getTransposeTable(mode, amount);
+        this._saveStateForUndo();
+        notes.forEach(n => { n.pitch = pitchMap[n.pitch]; });
+        if (s.isPlaying) this._buildLookaheadEvents();
+        this._scheduleAutosave();
+        this.draw();
+    }
+
+    // Returns a table from each MIDI pitch to its transposed pitch
+    _getTransposeTable(mode, amount) {
+        if (mode === 'diatonic') {
+            const { root, type } = this.state.scale;
+            const positions = this.synth.toScalePositionArray(root, type);
+            const table = this.synth.fromScalePositionArray(positions, root, type, amount);
+            // The synth returns [] for a scale it cannot resolve; any pitch without a destination stays where it is
+            return Array.from({ length: 128 }, (_, pitch) => Number.isInteger(table[pitch]) ? table[pitch] : pitch);
+        }
+        const semitones = mode === 'octave' ? amount * 12 : amount;
+        return Array.from({ length: 128 }, (_, pitch) => Math.max(0, Math.min(127, pitch + semitones)));
+    }
+
+    // --- HUMANIZE & GROOVE ---
+    /**
+     * Nudges each selected note by a random amount within the Humanize ranges:
+     * timing in ticks, velocity in steps and length in percent, either way.
+     */
+    async humanize() {
+        const notes = this.state.selectedNotes.filter(n => n.type !== 'other');
+        if (notes.length === 0) {
+            this.drawer.dialogs['Error'][0].controls[0].label = 'No notes selected to humanize.';
+            await this.drawer.openDialog('Error');
+            return;
+        }
+        const { timing, velocity, length } = this.state.humanize;
+        const spread = (range) => (Math.random() * 2 - 1) * range;
+        this._saveStateForUndo();
+        notes.forEach(n => {
+            n.start_tick = Math.max(0, Math.round(n.start_tick + spread(timing)));
+            n.velocity = Math.max(1, Math.min(127, Math.round(n.velocity + spread(velocity))));
+            n.duration_ticks = Math.max(this.state.ppqn / 16, Math.round(n.duration_ticks * (1 + spread(length) / 100)));
+        });
+        this._recalculateSongDuration();
+        if (this.state.isPlaying) this._buildLookaheadEvents();
+        this._scheduleAutosave();
+        this.draw();
+    }
+
+    _getGrooves() {
+        return [...this.GROOVE_TEMPLATES, ...this.state.userGrooves];
+    }
+
+    _getGroove(name) {
+        return this._getGrooves().find(g => g.name === name);
+    }
+
+    _refreshGrooveOptions() {
+        const control = this.drawer.tabs['Edit'].flatMap(r => r.controls).find(c => c.id === 'groove');
+        control.options = this._getGrooves().map(g => ({ text: g.name, value: g.name }));
+        if (!this._getGroove(this.state.groove.name)) this.state.groove.name = this.GROOVE_TEMPLATES[0].name;
+        control.selectedValue = this.state.groove.name;
+    }
+
+    /**
+     * Moves each selected note onto the nearest step of the groove's grid, offset and accented as the
+     * groove says for that step. The Amount setting blends between the original and the grooved note.
+     */
+    async applyGroove() {
+        const notes = this.state.selectedNotes.filter(n => n.type !== 'other');
+        const groove = this._getGroove(this.state.groove.name);
+        if (notes.length === 0 || !groove) {
+            this.drawer.dialogs['Error'][0].controls[0].label = 'No notes selected to apply the groove to.';
+            await this.drawer.openDialog('Error');
+            return;
+        }
+        const amount = this.state.groove.amount / 100;
+        const stepTicks = this.state.ppqn / groove.stepsPerBeat;
+        this._saveStateForUndo();
+        notes.forEach(n => {
+            const { step, gridTick } = this._getGrooveStep(n.start_tick, stepTicks);
+            const position = step % groove.timing.length;
+            const target = gridTick + groove.timing[position] * stepTicks;
+            n.start_tick = Math.max(0, Math.round(n.start_tick + (target - n.start_tick) * amount));
+            const accent = 1 + (groove.velocity[position] / 100 - 1) * amount;
+            n.velocity = Math.max(1, Math.min(127, Math.round(n.velocity * accent)));
+        });
+        this._recalculateSongDuration();
+        if (this.state.isPlaying) this._buildLookaheadEvents();
+        this._scheduleAutosave();
+        this.draw();
+    }
+
+    /**
+     * Measures how the selected notes sit against the 16th notes of their bars and saves it as a groove.
+     * Each step's timing is the average distance of its notes from the grid, and its accent is their
+     * average velocity relative to all of the selected notes.
+     */
+    async extractGroove() {
+        const notes = this.state.selectedNotes.filter(n => n.type !== 'other');
+        if (notes.length === 0) {
+            this.drawer.dialogs['Error'][0].controls[0].label = 'Select the notes to take the groove from.';
+            await this.drawer.openDialog('Error');
+            return;
+        }
+        const name = prompt('Name for the groove:', 'My Groove');
+        if (!name || !name.trim()) return;
+
+        const stepsPerBeat = 4;
+        const stepTicks = this.state.ppqn / stepsPerBeat;
+        const averageVelocity = notes.reduce((sum, n) => sum + n.velocity, 0) / notes.length;
+        const placed = notes.map(n => ({ note: n, ...this._getGrooveStep(n.start_tick, stepTicks) }));
+        // The groove is as long as the longest bar the notes were played in
+        const steps = Math.max(...placed.map(p => p.barSteps));
+        const byStep = Array.from({ length: steps }, () => []);
+        placed.forEach(p => byStep[p.step].push(p));
+        const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+        const groove = {
+            name: name.trim(),
+            stepsPerBeat,
+            timing: byStep.map(stepNotes => stepNotes.length
+                ? Math.round(average(stepNotes.map(p => (p.note.start_tick - p.gridTick) / stepTicks)) * 1000) / 1000
+                : 0),
+            velocity: byStep.map(stepNotes => stepNotes.length ? Math.round(average(stepNotes.map(p => p.note.velocity)) / averageVelocity * 100) : 100),
+        };
+        this.state.userGrooves = this.state.userGrooves.filter(g => g.name !== groove.name).concat(groove);
+        this._saveUserGrooves();
+        this.state.groove.name = groove.name;
+        this._refreshGrooveOptions();
+    }
+
+    // Groove steps count from the start of the bar the tick is in, so odd meters and time-signature
+    // changes don't shift the pattern. A tick that rounds past the end of its bar is step 0 of the next.
+    _getGrooveStep(tick, stepTicks) {
+        const bar = this._getBars(tick + 1).pop();
+        const barSteps = Math.ceil(bar.barTicks / stepTicks);
+        const step = Math.round((tick - bar.tick) / stepTicks);
+        if (step >= barSteps) return { step: 0, gridTick: bar.tick + bar.barTicks, barSteps };
+        return { step, gridTick: bar.tick + step * stepTicks, barSteps };
+    }
+
+    async _deleteGroove() {
+        const groove = this.state.userGrooves.find(g => g.name === this.state.groove.name);
+        if (!groove) {
+            this.drawer.dialogs['Error'][0].controls[0].label = 'Only grooves you have extracted can be deleted.';
+            await this.drawer.openDialog('Error');
+            return;
+        }
+        this.drawer.dialogs['Confirm'][0].controls[0].label = `Delete the groove "${groove.name}"?`;
+        if (!await this.drawer.openDialog('Confirm')) return;
+        this.state.userGrooves = this.state.userGrooves.filter(g => g !== groove);
+        this._saveUserGrooves();
+        this._refreshGrooveOptions();
+    }
+
+    // Extracted grooves are kept in the browser so every song can use them
+    _loadUserGrooves() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.GROOVE_STORAGE_KEY));
+            if (Array.isArray(saved)) this.state.userGrooves = saved;
+        } catch (e) {
+            console.error("Could not load grooves.", e);
+        }
+    }
+
+    _saveUserGrooves() {
+        try {
+            localStorage.setItem(this.GROOVE_STORAGE_KEY, JSON.stringify(this.state.userGrooves));
+        } catch (e) {
+            console.error("Could not save grooves.", e);
+        }
+    }
+
     _saveMidiFile() {
         const arrayBuffer = this.saveToMidi();
-        const blob = new Blob([arrayBuffer], { type: 'audio/midi' });
+        this._downloadBlob(new Blob([arrayBuffer], { type: 'audio/midi' }), 'composition.mid');
+    }
+
+    _downloadBlob(blob, fileName) {
         const url = URL.createObjectURL(blob);
         
         // Create a new anchor element programmatically
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'composition.mid';
+        a.download = fileName;
         
         // Append the element to the body, click it, and then remove it
         document.body.appendChild(a);
@@ -263,6 +830,194 @@ class PianoRoll {
         URL.revokeObjectURL(url);
     }
 
+    // --- AUDIO EXPORT ---
+    // Renders the song through a second WebAudioTinySynth on an OfflineAudioContext, so the
+    // result doesn't depend on the live clock and renders as fast as the machine allows.
+    async _exportAudio() {
+        const s = this.state;
+        if (s.audioExport) return;
+        if (!s.notes.some(n => n.type === 'note')) {
+            this.drawer.dialogs['Error'][0].controls[0].label = 'There are no notes to export.';
+            await this.drawer.openDialog('Error');
+            return;
+        }
+        if (!this.synth || typeof OfflineAudioContext === 'undefined') {
+            this.drawer.dialogs['Error'][0].controls[0].label = 'Audio export is not supported in this browser.';
+            await this.drawer.openDialog('Error');
+            return;
+        }
+        const exportState = s.audioExport = { cancelled: false, cancel: null };
+        this._setAudioExportProgress(0);
+        this.drawer.openDialog('Export Audio');
+        let buffer = null, error = null, failedPrograms = [];
+        try {
+            failedPrograms = await this._loadExportInstruments();
+            if (!exportState.cancelled) buffer = await this._renderAudio(exportState);
+        } catch (err) {
+            error = err;
+        }
+        s.audioExport = null;
+        this.drawer.closeDialog();
+        this.draw();
+        if (error) {
+            console.error('Audio export failed:', error);
+            this.drawer.dialogs['Error'][0].controls[0].label = 'The song could not be rendered.';
+            await this.drawer.openDialog('Error');
+            return;
+        }
+        if (!buffer) return;
+        this._downloadBlob(new Blob([this._encodeWav(buffer)], { type: 'audio/wav' }), 'composition.wav');
+        if (failedPrograms.length > 0) {
+            const names = failedPrograms.map(program => program === 128 ? 'Drums' : (this.synth.getTimbreName(0, program) || `Program ${program}`));
+            this.drawer.dialogs['Error'][0].controls[0].label = `Could not load ${names.join(', ')}; the synthesized sound was used instead.`;
+            await this.drawer.openDialog('Error');
+        }
+    }
+    _cancelAudioExport() {
+        const exportState = this.state.audioExport;
+        if (!exportState) return;
+        exportState.cancelled = true;
+        if (exportState.cancel) exportState.cancel();
+        this.drawer.closeDialog(false);
+    }
+    _setAudioExportProgress(fraction) {
+        const control = this.drawer.dialogs['Export Audio'][0].controls[0];
+        control.label = `Rendering audio... ${Math.round(fraction * 100)}%`;
+        this.draw();
+    }
+    // Samples that haven't been loaded yet would fall back to the FM sounds, so load them first.
+    // Resolves with the programs that failed to load.
+    async _loadExportInstruments() {
+        const programs = new Set();
+        const channels = new Set(this.state.notes.map(n => this._getMessageChannel(n)));
+        channels.forEach(channel => {
+            programs.add(channel === 9 ? 128 : this._getTrackSettings(channel).program);
+        });
+        this.state.notes.forEach(n => {
+            if (n.type === 'other' && (n.msg[0] & 0xF0) === 0xC0 && (n.msg[0] & 0x0F) !== 9) programs.add(n.msg[1]);
+        });
+        // A missing soundfont isn't fatal: those notes render with the synthesized sound. Each program is
+        // loaded on its own because loadInstruments gives up at the first failure.
+        const failed = [];
+        for (const program of programs) {
+            const loaded = await new Promise(resolve => this.synth.loadInstrument(program, () => resolve(false), () => resolve(true)));
+            if (!loaded) failed.push(program);
+        }
+        return failed;
+    }
+    // A fresh renderer per export; _renderAudio disposes of it once its context has finished.
+    _createAudioRenderer(actx) {
+        const live = this.synth;
+        const renderer = new WebAudioTinySynth({ internalcontext: 0, useReverb: live.useReverb, quality: live.quality, voices: live.voices });
+        // Decoded AudioBuffers aren't tied to a context, so the renderer uses the live synth's soundfonts
+        renderer.soundfontPath = live.soundfontPath;
+        renderer.soundfontFilePrefix = live.soundfontFilePrefix;
+        renderer.soundfontBuffers = live.soundfontBuffers;
+        // Sampled notes look up their sample's peak in autoGainMaxes, which is filled in as the samples load
+        renderer.autoGainMaxes = live.autoGainMaxes;
+        renderer.autoGainLevel = live.autoGainLevel;
+        renderer.autoGainSetTo = live.autoGainSetTo;
+        renderer.autoGainIgnoreAbove = live.autoGainIgnoreAbove;
+        renderer.autoGainInstruments = live.autoGainInstruments;
+        renderer.setAudioContext(actx);
+        renderer.setMasterVol(live.masterVol);
+        renderer.setReverbLev(live.reverbLev);
+        return renderer;
+    }
+    // Every event that would be sent during playback, in seconds from the start of the song.
+    _getRenderEvents() {
+        const events = [];
+        this.state.notes.forEach(n => {
+            if (n.type === 'other') {
+                if (n.msg[0] === 0xFF) return;
+                if (this.state.mutedChannels.has(this._getMessageChannel(n))) return;
+                events.push({ time: this._tickToSeconds(n.time), order: 1, msg: n.msg });
+                return;
+            }
+            if (this.state.mutedChannels.has(n.channel)) return;
+            events.push({ time: this._tickToSeconds(n.start_tick), order: 2, msg: [0x90 | n.channel, n.pitch, n.velocity] });
+            events.push({ time: this._tickToSeconds(n.start_tick + n.duration_ticks), order: 0, msg: [0x80 | n.channel, n.pitch, 0] });
+        });
+        // Note-offs go before controller changes, which go before note-ons at the same time
+        return events.sort((a, b) => a.time - b.time || a.order - b.order);
+    }
+    // Events are fed to the renderer a second ahead of the render position, stopping at each
+    // second to report progress, so the synth can retire finished voices as it would live.
+    _renderAudio(exportState) {
+        const SAMPLE_RATE = 44100, CHUNK_SECONDS = 1, RELEASE_SECONDS = 2;
+        const events = this._getRenderEvents();
+        const songSeconds = this._tickToSeconds(this.state.songDurationTicks);
+        const duration = songSeconds + RELEASE_SECONDS;
+        const actx = new OfflineAudioContext(2, Math.ceil(duration * SAMPLE_RATE), SAMPLE_RATE);
+        const renderer = this._createAudioRenderer(actx);
+
+        for (let channel = 0; channel < 16; channel++) {
+            const { program, volume } = this._getTrackSettings(channel);
+            if (channel !== 9 && program < 128) renderer.send([0xC0 | channel, program], 0, true);
+            renderer.send([0xB0 | channel, 7, volume], 0, true);
+        }
+        let next = 0;
+        const scheduleUntil = (time) => {
+            while (next < events.length && events[next].time < time) {
+                const e = events[next++];
+                renderer.send(e.msg.slice(), e.time, true);
+            }
+        };
+        for (let i = 1; i * CHUNK_SECONDS < duration; i++) {
+            const time = i * CHUNK_SECONDS;
+            actx.suspend(time).then(() => {
+                // After a cancel nothing more is scheduled, so the rest renders as silence and the context can finish
+                if (exportState.cancelled) return actx.resume();
+                this._setAudioExportProgress(Math.min(1, time / duration));
+                scheduleUntil(time + CHUNK_SECONDS);
+                actx.resume();
+            });
+        }
+        scheduleUntil(CHUNK_SECONDS);
+        const rendering = actx.startRendering();
+        rendering.catch(() => {}).then(() => renderer.dispose());
+        return new Promise((resolve, reject) => {
+            exportState.cancel = () => resolve(null);
+            rendering.then(resolve, reject);
+        });
+    }
+    // Encodes an AudioBuffer as a 16-bit PCM WAV file.
+    _encodeWav(audioBuffer) {
+        const channels = audioBuffer.numberOfChannels;
+        const frames = audioBuffer.length;
+        const dataSize = frames * channels * 2;
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+        };
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);           // fmt chunk size
+        view.setUint16(20, 1, true);            // PCM
+        view.setUint16(22, channels, true);
+        view.setUint32(24, audioBuffer.sampleRate, true);
+        view.setUint32(28, audioBuffer.sampleRate * channels * 2, true); // byte rate
+        view.setUint16(32, channels * 2, true); // block align
+        view.setUint16(34, 16, true);           // bits per sample
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const data = [];
+        for (let c = 0; c < channels; c++) data.push(audioBuffer.getChannelData(c));
+        let offset = 44;
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < channels; c++) {
+                const sample = Math.max(-1, Math.min(1, data[c][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                offset += 2;
+            }
+        }
+        return buffer;
+    }
+
     _loadMidiFile() {
         // Create an input element dynamically
         const input = document.createElement('input');
@@ -274,67 +1029,23 @@ class PianoRoll {
             const file = e.target.files[0]; 
             if (file) { 
                 const reader = new FileReader(); 
-                reader.onload = (event) => {
+                reader.onload = async (event) => {
                     const arrayBuffer = event.target.result;
                     
                     // Stop any current playback before loading new file
                     this.stop();
+                    await this._flushAutosave();
 
-                    // Use tinysynth to parse the file
-                    synth.loadMIDI(arrayBuffer);
-
-                    if (synth.song) {
-                        const { timebase, ev, tempo } = synth.song;
-                        // TinySynth's timebase seems to be ppqn * 4
-                        const ppqn = timebase / 4; 
-
-                        const messages = ev.map(event => {
-                            const status = event.m[0];
-                            const command = status & 0xF0;
-                            const channel = status & 0x0F;
-
-                            if (command === 0x90 && event.m[2] > 0) { // Note On
-                                return { type: 'noteOn', pitch: event.m[1], velocity: event.m[2], time: event.t, channel };
-                            } else if (command === 0x80 || (command === 0x90 && event.m[2] === 0)) { // Note Off
-                                return { type: 'noteOff', pitch: event.m[1], velocity: event.m[2], time: event.t, channel };
-                            } else {
-                                return { type: 'other', msg: event.m, time: event.t, channel: event.m[0] & 0x0F };
-                            }
-                            return null;
-                        }).filter(Boolean);
-
-                        this.loadFromJson(messages, ppqn);
-                        this._updateTrackControlsFromMidi(ev);
-
-                        let calculatedBpm = 120; // Default BPM
-                        const tempoEvent = ev.find(e => e.m[0] === 0xff && e.m[1] === 0x51);
-                        if (tempoEvent) {
-                            // The tempo is stored in three bytes, representing microseconds per quarter note.
-                            const microsecondsPerQuarterNote = (tempoEvent.m[2] << 16) | (tempoEvent.m[3] << 8) | tempoEvent.m[4];
-                            
-                            // Convert microseconds per quarter note to BPM.
-                            calculatedBpm = 60000000 / microsecondsPerQuarterNote;
-
-                            pianoRoll.bpm = calculatedBpm;
-                        } else {
-                            pianoRoll.bpm = 120; // Default BPM if no tempo event found per MIDI specs
-                        }
-                        // Find the tempo slider in the drawer to update it
-                        const playbackTab = pianoRoll.drawer.tabs['Playback'];
-                        if (playbackTab) {
-                            const tempoSliderControl = playbackTab.find(c => c instanceof PopupSliderControl);
-                            if (tempoSliderControl) {
-                                tempoSliderControl.slider.value = Math.round(calculatedBpm);
-                            }
-                        }
-
-                        this.state.undoHistory = [];
-                        this.state.redoHistory = [];
-                        
-                    } else {
-                        console.error("Failed to parse MIDI file with TinySynth.");
+                    let midi;
+                    try {
+                        midi = this._parseMidiFile(arrayBuffer);
+                    } catch (err) {
+                        console.error("Failed to parse MIDI file.", err);
                         alert("Error: Could not parse MIDI file.");
+                        return;
                     }
+                    this._importMidi(midi);
+                    this._startNewSong(file.name.replace(/\.midi?$/i, ''));
                 }; 
                 reader.readAsArrayBuffer(file); 
             } 
@@ -348,6 +1059,135 @@ class PianoRoll {
         input.click();
     }
 
+    /**
+     * Reads a Standard MIDI File (format 0, 1 or 2) into { format, ppqn, tracks }, where each
+     * track has its name and every event as { time, msg } with absolute ticks. Meta events keep
+     * their raw bytes and SysEx is stored as F0 followed by its data, so nothing is lost on save.
+     */
+    _parseMidiFile(arrayBuffer) {
+        const data = new Uint8Array(arrayBuffer);
+        const readString = (pos, length) => String.fromCharCode(...data.subarray(pos, pos + length));
+        const read16 = pos => (data[pos] << 8) | data[pos + 1];
+        const read32 = pos => ((data[pos] << 24) | (data[pos + 1] << 16) | (data[pos + 2] << 8) | data[pos + 3]) >>> 0;
+
+        if (readString(0, 4) !== 'MThd') throw new Error('Not a Standard MIDI File');
+        const format = read16(8);
+        const trackCount = read16(10);
+        const division = read16(12);
+        let ppqn = division;
+        if (division & 0x8000) {
+            // SMPTE timing: ticks per second, which at the default 120 BPM is two quarter notes
+            const framesPerSecond = 256 - (division >> 8);
+            ppqn = framesPerSecond * (division & 0xFF) / 2;
+        }
+
+        const tracks = [];
+        let pos = 8 + read32(4);
+        while (tracks.length < trackCount && pos + 8 <= data.length) {
+            const chunkType = readString(pos, 4);
+            const length = read32(pos + 4);
+            pos += 8;
+            // Unknown chunk types are skipped, as the spec asks
+            if (chunkType === 'MTrk') tracks.push(this._parseMidiTrack(data.subarray(pos, pos + length)));
+            pos += length;
+        }
+        return { format, ppqn, tracks };
+    }
+    _parseMidiTrack(data) {
+        const events = [];
+        let name = null, pos = 0, tick = 0, runningStatus = 0;
+        const readVlq = () => {
+            let value = 0, byte;
+            do {
+                byte = data[pos++];
+                value = (value << 7) | (byte & 0x7F);
+            } while ((byte & 0x80) && pos < data.length);
+            return value;
+        };
+
+        while (pos < data.length) {
+            tick += readVlq();
+            let status = data[pos];
+            if (status & 0x80) pos++;
+            else status = runningStatus; // Running status: the data bytes reuse the previous status
+
+            if (status === 0xFF) {
+                const type = data[pos++];
+                const lengthStart = pos;
+                const length = readVlq();
+                const msg = [0xFF, type, ...data.subarray(lengthStart, pos + length)];
+                pos += length;
+                if (type === 0x2F) break; // End of track is written back by saveToMidi
+                if (type === 0x03 && name === null) name = this._getMetaText(msg);
+                events.push({ time: tick, msg });
+            } else if (status === 0xF0 || status === 0xF7) {
+                const length = readVlq();
+                events.push({ time: tick, msg: [status, ...data.subarray(pos, pos + length)] });
+                pos += length;
+            } else {
+                runningStatus = status;
+                const dataLength = ((status & 0xF0) === 0xC0 || (status & 0xF0) === 0xD0) ? 1 : 2;
+                events.push({ time: tick, msg: [status, ...data.subarray(pos, pos + dataLength)] });
+                pos += dataLength;
+            }
+        }
+        return { name, events };
+    }
+    _importMidi(midi) {
+        const messages = [];
+        midi.tracks.forEach((track, trackIndex) => {
+            track.events.forEach(({ time, msg }) => {
+                const command = msg[0] & 0xF0;
+                const channel = msg[0] & 0x0F;
+                if (msg[0] < 0xF0 && command === 0x90 && msg[2] > 0) { // Note On
+                    messages.push({ type: 'noteOn', pitch: msg[1], velocity: msg[2], time, channel, track: trackIndex });
+                } else if (msg[0] < 0xF0 && (command === 0x80 || command === 0x90)) { // Note Off
+                    messages.push({ type: 'noteOff', pitch: msg[1], velocity: msg[2], time, channel, track: trackIndex });
+                } else {
+                    messages.push({ type: 'other', msg, time, channel: msg[0] < 0xF0 ? channel : undefined, track: trackIndex });
+                }
+            });
+        });
+
+        this.state.tracks = midi.tracks.map(track => ({ name: track.name }));
+        this.state.midiFormat = midi.format === 0 ? 0 : 1; // Format 2 is saved as format 1
+        const formatControl = this.drawer.tabs['File'].flatMap(r => r.controls).find(c => c.id === 'midiFormat');
+        if (formatControl) formatControl.selectedValue = this.state.midiFormat;
+
+        this.loadFromJson(messages, midi.ppqn);
+        this._updateTrackControlsFromMidi(messages.filter(m => m.type === 'other' && m.msg[0] < 0xF0).map(m => ({ t: m.time, m: m.msg })));
+        this._updateTrackNames();
+
+        // Every tempo event is kept in the tempo map; the one at tick 0 becomes the song tempo
+        this.bpm = 120; // Default BPM if no tempo event found per MIDI specs
+        this._syncBaseTempo();
+
+        this.state.undoHistory = [];
+        this.state.redoHistory = [];
+    }
+    // Labels each channel row in the Tracks tab with the name of the imported track that plays on it.
+    _updateTrackNames() {
+        const tracksTab = this.drawer.tabs['Tracks'];
+        if (!tracksTab) return;
+        const controls = tracksTab.flatMap(r => r.controls);
+        for (let channel = 0; channel < 16; channel++) {
+            const nameControl = controls.find(c => c.id === `trackName${channel + 1}`);
+            if (!nameControl) continue;
+            const event = this.state.notes.find(n => n.channel === channel && n.track !== undefined);
+            const track = event && this.state.tracks[event.track];
+            nameControl.label = (track && track.name) || '';
+        }
+    }
+    // Returns the data bytes of a meta event, after its variable-length size.
+    _getMetaData(msg) {
+        let pos = 2;
+        while (msg[pos] & 0x80) pos++;
+        return msg.slice(pos + 1);
+    }
+    _getMetaText(msg) {
+        return new TextDecoder().decode(Uint8Array.from(this._getMetaData(msg)));
+    }
+
     _updateTrackControlsFromMidi(midiEvents) {
         const tracksTab = this.drawer.tabs['Tracks'];
         if (!tracksTab) return;
@@ -398,64 +1238,460 @@ class PianoRoll {
         });
     }    
 
+    // --- PROJECT FILES ---
+    // A project is JSON holding everything a MIDI file can't: the Tracks tab settings, the loop,
+    // and the PianoKeyboard settings with its drum machine patterns. Files written by older
+    // versions are migrated one version at a time before they are validated.
+    /**
+     * Returns the whole session as a project object that loadProject() accepts.
+     * @returns {object}
+     */
+    saveProject() {
+        const s = this.state;
+        const tracks = Array.from({ length: 16 }, (_, channel) => {
+            const { program, volume } = this._getTrackSettings(channel);
+            return { channel, program, volume, muted: s.mutedChannels.has(channel), hidden: s.hiddenChannels.has(channel) };
+        });
+        return {
+            format: this.PROJECT_FORMAT,
+            version: this.PROJECT_VERSION,
+            pianoRoll: JSON.parse(JSON.stringify({
+                ppqn: s.ppqn,
+                bpm: this.bpm,
+                notes: s.notes,
+                tracks,
+                trackNames: s.tracks.map(track => track.name || ''),
+                midiFormat: s.midiFormat,
+                loop: s.loop,
+                scale: s.scale,
+            })),
+            keyboard: this.keyboard ? this.keyboard.getProjectState() : null,
+        };
+    }
+    /**
+     * Replaces the session with a project from saveProject(), migrating older versions.
+     * Throws an Error describing the first problem if the project is not valid.
+     * @param {object} project
+     */
+    loadProject(project) {
+        project = this._migrateProject(project);
+        this._validateProject(project);
+        const s = this.state, data = project.pianoRoll;
+        this.stop();
+
+        s.tracks = (data.trackNames || []).map(name => ({ name }));
+        s.midiFormat = data.midiFormat === 1 ? 1 : 0;
+        const formatControl = this.drawer.tabs['File'].flatMap(r => r.controls).find(c => c.id === 'midiFormat');
+        if (formatControl) formatControl.selectedValue = s.midiFormat;
+
+        s.ppqn = data.ppqn;
+        s.notes = data.notes;
+        s.selectedNotes = [];
+        s.undoHistory = [];
+        s.redoHistory = [];
+        if (data.loop) this.setLoopRegion(data.loop.start, data.loop.end);
+        this.setLoopEnabled(!!(data.loop && data.loop.enabled));
+        const loopControl = this.drawer.tabs['Playback'].flatMap(r => r.controls).find(c => c.id === 'loop');
+        if (loopControl) loopControl.value = s.loop.enabled;
+
+        // The keyboard state brings the project's user scales into the catalog, so apply it before the scale
+        if (project.keyboard && this.keyboard) this.keyboard.applyProjectState(project.keyboard);
+        const scale = data.scale || { root: 0, type: 'None', snap: false };
+        this.setScale(scale.root, scale.type);
+        this.setSnapToScale(!!scale.snap);
+        this.refreshScaleOptions(); // Falls back to no scale if the project's scale isn't in the catalog
+
+        this._applyTrackSettings(data.tracks || []);
+        this._updateTrackNames();
+        this.bpm = data.bpm || 120;
+        this._syncBaseTempo();
+        this._syncTimeSignatureControl();
+        this._recalculateSongDuration();
+        this.draw();
+    }
+    _applyTrackSettings(tracks) {
+        const s = this.state;
+        const controls = (this.drawer.tabs['Tracks'] || []).flatMap(r => r.controls);
+        s.mutedChannels.clear();
+        s.hiddenChannels.clear();
+        for (let channel = 0; channel < 16; channel++) {
+            const track = tracks.find(t => t.channel === channel) || {};
+            const instrumentControl = controls.find(c => c.id === `instrument${channel + 1}`);
+            const volumeControl = controls.find(c => c.id === `volume${channel + 1}`);
+            const program = track.program !== undefined ? track.program : (channel === 9 ? 128 : 0);
+            const volume = track.volume !== undefined ? track.volume : 100;
+            if (instrumentControl) instrumentControl.selectedValue = program;
+            if (volumeControl) volumeControl.slider.value = volume;
+            if (program < 128) this.onMidiMessage([0xC0 | channel, program]);
+            this.onMidiMessage([0xB0 | channel, 7, volume]);
+            if (track.muted) s.mutedChannels.add(channel);
+            if (track.hidden) s.hiddenChannels.add(channel);
+        }
+    }
+    // Each step upgrades a project from version n to n + 1. Version 1 is the first format, so there are none yet.
+    _migrateProject(project) {
+        const migrations = {};
+        while (project && typeof project === 'object' && Number.isInteger(project.version) && project.version < this.PROJECT_VERSION) {
+            const migrate = migrations[project.version];
+            if (!migrate) throw new Error(`Projects of version ${project.version} can't be opened.`);
+            project = migrate(project);
+        }
+        return project;
+    }
+    _validateProject(project) {
+        const fail = (message) => { throw new Error(`Invalid project: ${message}.`); };
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+        const isTick = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+
+        if (!isObject(project) || project.format !== this.PROJECT_FORMAT) fail('this is not a project file');
+        if (!Number.isInteger(project.version)) fail('missing version');
+        if (project.version > this.PROJECT_VERSION) fail(`version ${project.version} is newer than this editor supports`);
+        const data = project.pianoRoll;
+        if (!isObject(data)) fail('missing piano roll data');
+        if (!isInt(data.ppqn, 1, 0x7FFF)) fail('ppqn must be a whole number between 1 and 32767');
+        if (data.bpm !== undefined && !(typeof data.bpm === 'number' && data.bpm > 0)) fail('bpm must be a positive number');
+        if (!Array.isArray(data.notes)) fail('notes must be a list');
+        data.notes.forEach((n, i) => {
+            if (!isObject(n)) fail(`event ${i} is not an object`);
+            if (n.type === 'note') {
+                if (!isInt(n.pitch, 0, 127) || !isInt(n.velocity, 0, 127) || !isInt(n.channel, 0, 15)) fail(`note ${i} has a bad pitch, velocity or channel`);
+                if (!isTick(n.start_tick) || !isTick(n.duration_ticks)) fail(`note ${i} has a bad start or length`);
+            } else if (n.type === 'other') {
+                if (!isTick(n.time)) fail(`event ${i} has a bad time`);
+                if (!Array.isArray(n.msg) || n.msg.length === 0 || !n.msg.every(b => isInt(b, 0, 255))) fail(`event ${i} has a bad MIDI message`);
+            } else {
+                fail(`event ${i} has an unknown type`);
+            }
+        });
+        if (data.tracks !== undefined) {
+            if (!Array.isArray(data.tracks)) fail('tracks must be a list');
+            data.tracks.forEach((t, i) => {
+                if (!isObject(t) || !isInt(t.channel, 0, 15)) fail(`track ${i} has a bad channel`);
+                if (t.program !== undefined && !isInt(t.program, 0, 128)) fail(`track ${i} has a bad instrument`);
+                if (t.volume !== undefined && !isInt(t.volume, 0, 127)) fail(`track ${i} has a bad volume`);
+            });
+        }
+        if (data.trackNames !== undefined && !(Array.isArray(data.trackNames) && data.trackNames.every(n => typeof n === 'string'))) fail('track names must be a list of text');
+        if (data.loop !== undefined && !(isObject(data.loop) && isTick(data.loop.start) && isTick(data.loop.end))) fail('bad loop region');
+        if (data.scale !== undefined && !(isObject(data.scale) && isInt(data.scale.root, 0, 11) && typeof data.scale.type === 'string')) fail('bad key or scale');
+
+        const keyboard = project.keyboard;
+        if (keyboard === undefined || keyboard === null) return;
+        if (!isObject(keyboard) || (keyboard.settings !== undefined && !isObject(keyboard.settings))) fail('bad keyboard settings');
+        const drums = keyboard.drumMachineState;
+        if (drums === undefined) return;
+        if (!isObject(drums)) fail('bad drum machine');
+        if (drums.pattern !== undefined && !(isObject(drums.pattern) && Object.values(drums.pattern).every(steps => Array.isArray(steps) && steps.every(step => typeof step === 'boolean')))) fail('drum patterns must be lists of steps');
+        if (drums.volumes !== undefined && !(isObject(drums.volumes) && Object.values(drums.volumes).every(v => isInt(v, 0, 127)))) fail('bad drum volumes');
+        if (drums.swing !== undefined && !(typeof drums.swing === 'number' && drums.swing >= 0 && drums.swing <= 100)) fail('swing must be between 0 and 100');
+    }
+    _saveProjectFile() {
+        const json = JSON.stringify(this.saveProject(), null, 2);
+        this._downloadBlob(new Blob([json], { type: 'application/json' }), 'composition.pianoroll.json');
+    }
+    _loadProjectFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                const reader = new FileReader();
+                reader.onload = async (event) => {
+                    await this._flushAutosave();
+                    try {
+                        this.loadProject(JSON.parse(event.target.result));
+                        this._startNewSong(file.name.replace(/(\.pianoroll)?\.json$/i, ''));
+                    } catch (err) {
+                        console.error('Failed to load project.', err);
+                        this.drawer.dialogs['Error'][0].controls[0].label = err instanceof SyntaxError ? 'The project file is not valid JSON.' : err.message;
+                        await this.drawer.openDialog('Error');
+                    }
+                };
+                reader.readAsText(file);
+            }
+            document.body.removeChild(input);
+        };
+        input.style.display = 'none';
+        document.body.appendChild(input);
+        input.click();
+    }
+
+    // --- AUTOSAVE & RECENT SONGS ---
+    // The composition and its undo history are written to the song store a moment after each
+    // finished edit. Loading a file starts a new song; the File tab lists the stored ones.
+    _scheduleAutosave() {
+        if (!this.songStore) return;
+        if (this.autosaveTimer) clearTimeout(this.autosaveTimer);
+        // A drag still in progress is only half an edit; wait until it ends
+        this.autosaveTimer = setTimeout(() => this._isEditingWithPointer() ? this._scheduleAutosave() : this._autosave(), this.AUTOSAVE_DELAY);
+    }
+    _isEditingWithPointer() {
+        const s = this.state;
+        return s.isDragging || s.isResizing || s.wasAddingNote || !!s.laneDrag;
+    }
+    // Writes a pending autosave right away, e.g. before another song replaces this one.
+    async _flushAutosave() {
+        if (!this.autosaveTimer) return;
+        await this._autosave();
+    }
+    async _autosave() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+        if (!this.songStore) return;
+        const s = this.state;
+        if (!s.songId) s.songId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        if (!s.songName) s.songName = `Untitled ${new Date().toLocaleString()}`;
+        try {
+            await this.songStore.saveSong({
+                id: s.songId,
+                name: s.songName,
+                project: this.saveProject(),
+                undoHistory: s.undoHistory,
+                redoHistory: s.redoHistory,
+            });
+            await this.refreshRecentSongs();
+        } catch (err) {
+            console.warn('Autosave failed.', err);
+        }
+    }
+    // Whatever is loaded next is stored as a new song under this name.
+    _startNewSong(name) {
+        this.state.songId = null;
+        this.state.songName = name;
+        this._scheduleAutosave();
+    }
+    /**
+     * Reloads the Recent songs list from the song store.
+     */
+    async refreshRecentSongs() {
+        if (!this.songStore) return;
+        const s = this.state;
+        try {
+            s.recentSongs = await this.songStore.listSongs();
+        } catch (err) {
+            console.warn('Could not list saved songs.', err);
+            s.recentSongs = [];
+        }
+        const control = this.drawer.tabs['File'].flatMap(r => r.controls).find(c => c.id === 'recentSongs');
+        if (!control) return;
+        control.options = s.recentSongs.length > 0
+            ? s.recentSongs.map(song => ({ text: song.name, value: song.id }))
+            : [{ text: 'No saved songs', value: null }];
+        if (!control.options.some(o => o.value === control.selectedValue)) {
+            control.selectedValue = control.options.some(o => o.value === s.songId) ? s.songId : control.options[0].value;
+        }
+        this.draw();
+    }
+    /**
+     * Replaces the composition with a stored song, including its undo history.
+     * @param {string} id
+     * @returns {Promise<boolean>} false if the song no longer exists.
+     */
+    async openSong(id) {
+        if (!this.songStore || !id) return false;
+        await this._flushAutosave();
+        const song = await this.songStore.getSong(id);
+        if (!song) return false;
+        const s = this.state;
+        this.loadProject(song.project);
+        s.undoHistory = song.undoHistory || [];
+        s.redoHistory = song.redoHistory || [];
+        s.songId = song.id;
+        s.songName = song.name;
+        await this.refreshRecentSongs();
+        return true;
+    }
+    _getSelectedRecentSong() {
+        const control = this.drawer.tabs['File'].flatMap(r => r.controls).find(c => c.id === 'recentSongs');
+        return control && this.state.recentSongs.find(song => song.id === control.selectedValue);
+    }
+    async _openSelectedSong() {
+        const song = this._getSelectedRecentSong();
+        if (!song) return;
+        try {
+            await this.openSong(song.id);
+        } catch (err) {
+            console.error('Failed to open song.', err);
+            this.drawer.dialogs['Error'][0].controls[0].label = `"${song.name}" could not be opened.`;
+            await this.drawer.openDialog('Error');
+        }
+    }
+    async _renameSelectedSong() {
+        const song = this._getSelectedRecentSong();
+        if (!song) return;
+        const name = (prompt('Rename song', song.name) || '').trim();
+        if (!name || name === song.name) return;
+        try {
+            await this.songStore.renameSong(song.id, name);
+        } catch (err) {
+            console.error('Failed to rename song.', err);
+            this.drawer.dialogs['Error'][0].controls[0].label = `"${song.name}" could not be renamed.`;
+            await this.drawer.openDialog('Error');
+            return;
+        }
+        if (song.id === this.state.songId) this.state.songName = name;
+        await this.refreshRecentSongs();
+    }
+    async _deleteSelectedSong() {
+        const song = this._getSelectedRecentSong();
+        if (!song) return;
+        this.drawer.dialogs['Confirm'][0].controls[0].label = `Delete "${song.name}"?`;
+        if (!(await this.drawer.openDialog('Confirm'))) return;
+        try {
+            await this.songStore.deleteSong(song.id);
+        } catch (err) {
+            console.error('Failed to delete song.', err);
+            this.drawer.dialogs['Error'][0].controls[0].label = `"${song.name}" could not be deleted.`;
+            await this.drawer.openDialog('Error');
+            return;
+        }
+        // The open composition stays on screen and is saved as a new song on the next edit
+        if (song.id === this.state.songId) this.state.songId = null;
+        await this.refreshRecentSongs();
+    }
+
     // --- PUBLIC API ---
     handleMidiMessage(message) {
         this.onMidiMessage(message);
+        if (this.state.isRecording && this.state.isPlaying) this._recordMidiMessage(message);
     }
 
     loadFromJson(messages, ppqn = 96) { 
+        // Keep the loop region on the same beats when the resolution changes
+        const loop = this.state.loop; 
+        loop.start = loop.start * ppqn / this.state.ppqn; 
+        loop.end = loop.end * ppqn / this.state.ppqn; 
         this.state.ppqn = ppqn; 
         this.state.notes = this._messagesToNotes(messages); 
         this._recalculateSongDuration(); 
+        this._syncTimeSignatureControl(); 
         this.draw(); 
     }
     getNotesAsJson() { return this._notesToMessages(this.state.notes); }
     
-    saveToMidi() { 
+    /**
+     * Builds a Standard MIDI File. Format 0 puts everything in one track; format 1 writes a
+     * conductor track with tempo, meta and SysEx events, then one named track per channel in use.
+     * Tracks from an imported multi-track file keep their original layout.
+     */
+    saveToMidi(format = this.state.midiFormat) { 
         const messages = this.getNotesAsJson(); 
-        const write = (messages, ppqn = 96, bpm = 120) => {
-            const buffer = [
-                0x4D, 0x54, 0x68, 0x64, 0x00, 0x00, 0x00, 0x06, 0x00, 0x00, 
-                0x00, 0x01, (ppqn >> 8) & 0xFF, ppqn & 0xFF
+        const ppqn = this.state.ppqn; 
+        // Tempo changes travel with the other events; only add the song tempo if the map has no tick-0 entry
+        const songTempo = messages.some(m => m.time === 0 && this._isTempoEvent(m)) 
+            ? [] : [{ type: 'other', time: 0, msg: this._makeTempoMessage(this.bpm) }]; 
+
+        let tracks; 
+        if (format === 1) { 
+            // Meta and SysEx events belong to the whole song rather than a channel
+            const isSongEvent = m => m.type === 'other' && m.msg[0] >= 0xF0; 
+            // Events from a multi-track import stay in their original tracks, and new material on a
+            // channel joins the imported track that already plays it. Everything else gets a track per channel.
+            const importedTracks = this.state.tracks.length > 1 ? this.state.tracks.map(() => []) : []; 
+            const homeTrack = {}; 
+            messages.forEach(m => { 
+                const channel = this._getMessageChannel(m); 
+                if (importedTracks[m.track] && !isSongEvent(m) && homeTrack[channel] === undefined) homeTrack[channel] = m.track; 
+            }); 
+            const conductor = importedTracks.length > 0 ? importedTracks[0] 
+                : [{ type: 'other', time: 0, msg: this._makeTextMetaMessage(0x03, 'Conductor') }]; 
+            conductor.push(...songTempo); 
+            const channelTracks = {}; 
+            messages.forEach(m => { 
+                const channel = this._getMessageChannel(m); 
+                if (importedTracks[m.track]) importedTracks[m.track].push(m); 
+                else if (isSongEvent(m)) conductor.push(m); 
+                else if (homeTrack[channel] !== undefined) importedTracks[homeTrack[channel]].push(m); 
+                else (channelTracks[channel] = channelTracks[channel] || []).push(m); 
+            }); 
+            tracks = [ 
+                ...(importedTracks.length > 0 ? importedTracks : [conductor]), 
+                ...Object.keys(channelTracks).map(Number).sort((a, b) => a - b) 
+                    .map(channel => this._buildChannelTrack(channel, channelTracks[channel])) 
             ]; 
-            const track = []; 
-            let lastTime = 0; 
-            const writeVlq = value => { 
-                const bytes = []; 
-                bytes.push(value & 0x7F); 
-                value >>= 7; 
-                while (value > 0) { 
-                    bytes.push((value & 0x7F) | 0x80); 
-                    value >>= 7; 
+        } else { 
+            tracks = [[...songTempo, ...messages]]; 
+        } 
+
+        const buffer = [ 
+            0x4D, 0x54, 0x68, 0x64, 0x00, 0x00, 0x00, 0x06, 0x00, format, 
+            (tracks.length >> 8) & 0xFF, tracks.length & 0xFF, (ppqn >> 8) & 0xFF, ppqn & 0xFF 
+        ]; 
+        tracks.forEach(track => buffer.push(...this._writeTrackChunk(track))); 
+        return new Uint8Array(buffer).buffer; 
+    }
+    _writeVlq(value) { 
+        const bytes = []; 
+        bytes.push(value & 0x7F); 
+        value >>= 7; 
+        while (value > 0) { 
+            bytes.push((value & 0x7F) | 0x80); 
+            value >>= 7; 
+        } 
+        return bytes.reverse(); 
+    }
+    _writeTrackChunk(messages) { 
+        const track = []; 
+        let lastTime = 0; 
+        messages.forEach(msg => { 
+            const time = Math.round(msg.time); 
+            track.push(...this._writeVlq(time - lastTime)); 
+            lastTime = time; 
+            if (msg.type === 'other') { 
+                if (msg.msg[0] === 0xF0 || msg.msg[0] === 0xF7) { 
+                    // SysEx is stored as F0 (or F7) followed by its data; the file needs the length in between
+                    track.push(msg.msg[0], ...this._writeVlq(msg.msg.length - 1), ...msg.msg.slice(1)); 
+                } else { 
+                    track.push(...msg.msg); 
                 } 
-                return bytes.reverse(); 
-            }; 
-            const microSecondsPerQuarterNote = Math.round(60000000 / bpm); 
-            track.push(...writeVlq(0), 0xFF, 0x51, 0x03, 
-                        (microSecondsPerQuarterNote >> 16) & 0xFF, 
-                        (microSecondsPerQuarterNote >> 8) & 0xFF, 
-                        microSecondsPerQuarterNote & 0xFF); 
-            messages.forEach(msg => { 
-                const deltaTime = msg.time - lastTime; 
-                lastTime = msg.time; 
-                track.push(...writeVlq(deltaTime)); 
-                if (msg.type === 'other') {
-                    track.push(...msg.msg);
-                    return;
-                }
-                const statusByte = (msg.type === 'noteOn' ? 0x90 : 0x80) | (msg.channel || 0); 
-                track.push(statusByte, msg.pitch, msg.velocity); 
-            }); 
-            track.push(...writeVlq(0)); 
-            track.push(0xFF, 0x2F, 0x00); 
-            buffer.push(0x4D, 0x54, 0x72, 0x6B); 
-            const trackLength = track.length; 
-            buffer.push((trackLength >> 24) & 0xFF, (trackLength >> 16) & 0xFF, 
-                        (trackLength >> 8) & 0xFF, trackLength & 0xFF); 
-            buffer.push(...track); 
-            return new Uint8Array(buffer).buffer; 
-        }
-        return write(messages, this.state.ppqn, this.bpm); 
+                return; 
+            } 
+            const statusByte = (msg.type === 'noteOn' ? 0x90 : 0x80) | (msg.channel || 0); 
+            track.push(statusByte, msg.pitch, msg.velocity); 
+        }); 
+        track.push(...this._writeVlq(0), 0xFF, 0x2F, 0x00); 
+        const length = track.length; 
+        return [0x4D, 0x54, 0x72, 0x6B, 
+                (length >> 24) & 0xFF, (length >> 16) & 0xFF, (length >> 8) & 0xFF, length & 0xFF, 
+                ...track]; 
+    }
+    // Starts a channel's track with its name, program and volume from the Tracks tab,
+    // unless the song already sets the program or volume at tick 0.
+    _buildChannelTrack(channel, messages) { 
+        const { name, program, volume } = this._getTrackSettings(channel); 
+        const hasAtStart = test => messages.some(m => m.time === 0 && m.type === 'other' && test(m.msg)); 
+        const header = [{ type: 'other', time: 0, msg: this._makeTextMetaMessage(0x03, name) }]; 
+        if (program < 128 && !hasAtStart(msg => (msg[0] & 0xF0) === 0xC0)) { 
+            header.push({ type: 'other', time: 0, msg: [0xC0 | channel, program] }); 
+        } 
+        if (!hasAtStart(msg => (msg[0] & 0xF0) === 0xB0 && msg[1] === 7)) { 
+            header.push({ type: 'other', time: 0, msg: [0xB0 | channel, 7, volume] }); 
+        } 
+        return [...header, ...messages]; 
+    }
+    _getTrackSettings(channel) { 
+        const tracksTab = this.drawer.tabs['Tracks'] || []; 
+        const controls = tracksTab.flatMap(r => r.controls); 
+        const instrumentControl = controls.find(c => c.id === `instrument${channel + 1}`); 
+        const volumeControl = controls.find(c => c.id === `volume${channel + 1}`); 
+        const program = instrumentControl ? instrumentControl.selectedValue : (channel === 9 ? 128 : 0); 
+        const instrument = instrumentControl && instrumentControl.getSelectedInstrument(); 
+        const instrumentName = channel === 9 ? 'Drums' : (instrument ? instrument.text : `Program ${program + 1}`); 
+        return { 
+            name: `Track ${channel + 1} (${instrumentName})`, 
+            program, 
+            volume: volumeControl ? volumeControl.slider.value : 100 
+        }; 
+    }
+    _getMessageChannel(message) { 
+        if (message.type !== 'other') return message.channel || 0; 
+        return message.msg[0] < 0xF0 ? message.msg[0] & 0x0F : (message.channel || 0); 
+    }
+    _makeTextMetaMessage(type, text) { 
+        const bytes = Array.from(new TextEncoder().encode(text)); 
+        return [0xFF, type, ...this._writeVlq(bytes.length), ...bytes]; 
     }
 
     setMode(mode) { 
@@ -463,19 +1699,96 @@ class PianoRoll {
         this.canvas.style.cursor = this._getCursorStyle({x:0, y:0}); 
     }
     setCurrentChannel(ch) { this.state.currentChannel = ch; }
+    /**
+     * Sets the time signature (e.g. '6/8') from the start of the bar under the playhead.
+     * A change that matches the bar before it is removed rather than stored twice.
+     */
+    setTimeSignature(signature) {
+        const [numerator, denominator] = signature.split('/').map(Number);
+        const s = this.state;
+        const bar = this._getBars(s.playheadTick + 1).pop();
+        const tick = bar ? bar.tick : 0;
+
+        this._saveStateForUndo();
+        s.notes = s.notes.filter(n => !(this._isTimeSignatureEvent(n) && n.time === tick));
+        const previous = this._getTimeSignatureMap().filter(t => t.tick < tick).pop();
+        const isRedundant = previous && previous.numerator === numerator && previous.denominator === denominator;
+        if (!isRedundant) {
+            s.notes.push({
+                type: 'other',
+                time: tick,
+                msg: this._makeTimeSignatureMessage(numerator, denominator),
+                eventType: 'timeSignature'
+            });
+        }
+        this._invalidateTimingCache();
+        this._scheduleAutosave();
+        this.draw();
+    }
+    // Sets the song tempo, i.e. the tempo in effect at the start of the tempo map.
+    setBpm(bpm) {
+        this.bpm = bpm;
+        const startTempo = this.state.notes.find(n => this._isTempoEvent(n) && n.time === 0);
+        if (startTempo) startTempo.msg = this._makeTempoMessage(bpm);
+        this._updateTempoSlider();
+    }
     setPlayOnClick(enabled) { this.state.playOnClick = enabled; }
+    setLaneVisible(visible) {
+        this.state.laneVisible = visible;
+        this._clampScroll();
+        this.draw();
+    }
+    setMetronomeEnabled(enabled) {
+        this.state.metronomeEnabled = enabled;
+    }
+    setLoopEnabled(enabled) {
+        this.state.loop.enabled = enabled;
+        this.draw();
+    }
+    setLoopRegion(startTick, endTick) {
+        const loop = this.state.loop;
+        loop.start = Math.max(0, Math.min(startTick, endTick));
+        loop.end = Math.max(startTick, endTick);
+        this.draw();
+    }
+    setLaneType(type) {
+        this.state.laneType = type;
+        this.state.laneDrag = null;
+        this.draw();
+    }
+    // Starts playback, after a count-in if one is set. Calling play() during the count-in cancels it.
     play() { 
-        if (this.state.isPlaying) return; 
-        this.state.isPlaying = true; 
-        this.state.lastFrameTime = performance.now(); 
+        const s = this.state; 
+        if (s.isPlaying) return; 
+        if (s.isCountingIn) { 
+            this._cancelCountIn(); 
+            return; 
+        } 
+        if (s.countInBars > 0) { 
+            this._startCountIn(s.countInBars).then(started => { if (started) this._startPlayback(); }); 
+            return; 
+        } 
+        this._startPlayback(); 
+    }
+    _startPlayback() { 
+        const s = this.state; 
+        if (s.isPlaying) return; 
+        s.isPlaying = true; 
         this._buildLookaheadEvents(); 
+        this._seekTransport(s.playheadTick); 
+        this._runScheduler(); 
+        s.transport.timer = setInterval(() => this._runScheduler(), this.config.scheduleInterval); 
         requestAnimationFrame(this._playbackLoop.bind(this)); 
     }
     pause() { 
-        this.state.isPlaying = false; 
-        this.state.lookaheadEvents.forEach(e => { 
-            if (e.isPlaying) this.onStopNote({ pitch: e.pitch, channel: e.channel }); 
-        }); 
+        const s = this.state; 
+        if (s.isRecording) this._stopRecording(); 
+        this._cancelCountIn(); 
+        if (s.isPlaying) s.playheadTick = this._getTransportTick(); 
+        s.isPlaying = false; 
+        clearInterval(s.transport.timer); 
+        s.transport.timer = null; 
+        this._releaseSoundingNotes(); 
         this.draw(); 
     }
     stop() { this.pause(); this.state.playheadTick = 0; this.draw(); }
@@ -500,7 +1813,10 @@ class PianoRoll {
         this.state.redoHistory.push(JSON.parse(JSON.stringify(this.state.notes))); 
         this.state.notes = this.state.undoHistory.pop(); 
         this.state.selectedNotes = []; 
+        this._syncBaseTempo();
+        this._syncTimeSignatureControl();
         this._recalculateSongDuration(); 
+        this._scheduleAutosave(); 
         this.draw(); 
     }
     redo() { 
@@ -508,7 +1824,10 @@ class PianoRoll {
         this.state.undoHistory.push(JSON.parse(JSON.stringify(this.state.notes))); 
         this.state.notes = this.state.redoHistory.pop(); 
         this.state.selectedNotes = []; 
+        this._syncBaseTempo();
+        this._syncTimeSignatureControl();
         this._recalculateSongDuration(); 
+        this._scheduleAutosave(); 
         this.draw(); 
     }
 
@@ -518,6 +1837,9 @@ class PianoRoll {
         this._attachEventListeners();
         this.draw();
         this._animationLoop();
+        this.refreshRecentSongs();
+        this._loadUserGrooves();
+        this._refreshGrooveOptions();
     }
 
     _setupCanvas() { 
@@ -547,6 +1869,8 @@ class PianoRoll {
         c.addEventListener('mousedown', this._onInteractionStart.bind(this));
         c.addEventListener('touchstart', this._onInteractionStart.bind(this), { passive: false });
         c.addEventListener('mousemove', this._onHoverMove.bind(this));
+        c.addEventListener('mouseenter', () => { this.state.isPointerOver = true; });
+        c.addEventListener('mouseleave', () => { this.state.isPointerOver = false; });
         c.addEventListener('wheel', this._onWheel.bind(this), { passive: false });
 
         // ADD these persistent listeners to the window
@@ -554,6 +1878,7 @@ class PianoRoll {
         window.addEventListener('touchmove', this._boundOnInteractionMove, { passive: false });
         window.addEventListener('mouseup', this._boundOnInteractionEnd);
         window.addEventListener('touchend', this._boundOnInteractionEnd);
+        window.addEventListener('keydown', this._boundOnKeyDown);
     }
     
     dispose() {
@@ -567,6 +1892,7 @@ class PianoRoll {
         window.removeEventListener('touchmove', this._boundOnInteractionMove);
         window.removeEventListener('mouseup', this._boundOnInteractionEnd);
         window.removeEventListener('touchend', this._boundOnInteractionEnd);
+        window.removeEventListener('keydown', this._boundOnKeyDown);
 
         // Also, cancel any running animation frame
         if (this.animationFrameId) {
@@ -593,11 +1919,19 @@ class PianoRoll {
         if (e.type === 'mousedown' && e.button !== 0) return;
         e.preventDefault();
 
+        if (e.touches && e.touches.length === 2) {
+            this._startPinch(e);
+            return;
+        }
+        if (e.touches) this.state.touchUndo = { top: this.state.undoHistory[this.state.undoHistory.length - 1] };
+
         // The rest of the function now uses the correctly adjusted 'pos' object
         const isTimelineClick = pos.y < this.config.timelineHeight && 
                                 pos.x > this.config.keysWidth;
         const canDragPlayhead = this.state.mode === 'add' || this.state.mode === 'select';
 
+        if (isTimelineClick && this._handleLoopMouseDown(pos, e)) return;
+
         if (isTimelineClick && canDragPlayhead) {
             this.state.isDraggingPlayhead = true;
             this._handlePlayheadDrag(pos);
@@ -606,6 +1940,8 @@ class PianoRoll {
 
         if (this._handleScrollbarMouseDown(pos)) return;
 
+        if (this._handleLaneMouseDown(pos, e)) return;
+
         if (this.state.mode === 'pan') {
             this.state.isPanning = true;
             this.state.lastMousePos = pos;
@@ -614,7 +1950,8 @@ class PianoRoll {
         }
 
         const isGridClick = pos.x > this.config.keysWidth &&
-                            pos.x < this.canvas.clientWidth - this.config.scrollbarSize;
+                            pos.x < this.canvas.clientWidth - this.config.scrollbarSize &&
+                            pos.y < this._getGridBottom();
         if (isGridClick) {
             // First, find the note at the adjusted position
             const note = this._getNoteAt(pos.x, pos.y);
@@ -637,6 +1974,11 @@ class PianoRoll {
     }
     
     _onInteractionMove(e) {
+        if (this.state.pinch) {
+            e.preventDefault();
+            if (e.touches && e.touches.length === 2) this._handlePinch(e.touches);
+            return;
+        }
         const rawPos = this._getMousePos(e);
         const event = { type: 'pointermove', ...rawPos };
 
@@ -672,6 +2014,9 @@ class PianoRoll {
         else if (this.state.isDragging) { this._handleNoteDrag(pos); } 
         else if (this.state.isResizing) { this._handleNoteResize(pos); } 
         else if (this.state.isMarqueeSelecting) { this._handleMarqueeSelect(pos); } 
+        else if (this.state.isResizingLane) { this._handleLaneResize(pos); }
+        else if (this.state.loopDrag) { this._handleLoopDrag(pos); }
+        else if (this.state.laneDrag) { this._handleLaneDrag(pos); }
 
         this.state.lastMousePos = pos;
     }
@@ -681,6 +2026,12 @@ class PianoRoll {
         const event = { type: 'pointerup', ...this._getMousePos(rawE) };
         rawE.preventDefault();
 
+        // Lifting either finger ends the pinch; the one left on the screen does nothing until it lifts too
+        if (this.state.pinch) {
+            if (!rawE.touches || rawE.touches.length < 2) this.state.pinch = null;
+            return;
+        }
+
         // Check if the drawer has an active interaction (like dragging its handle)
         // or if a control is captured, and let the drawer handle the event first.
         if (this.eventBroker.capturedControl || this.drawer.activeInteraction) {
@@ -698,6 +2049,8 @@ class PianoRoll {
             this._recalculateSongDuration();
         }
         if (this.state.isMarqueeSelecting) this._selectNotesInMarquee();
+        if (this.state.laneDrag) this._finishLaneDrag();
+        if (this._isEditingWithPointer()) this._scheduleAutosave();
         
         if (this.state.isDragging || this.state.isResizing) {
                 this.state.selectedNotes = [];
@@ -711,15 +2064,38 @@ class PianoRoll {
         this.state.isDraggingPlayhead = false;
         this.state.isDragging = false;
         this.state.wasAddingNote = false;
+        this.state.touchUndo = null;
         this.state.isResizing = false;
         this.state.isMarqueeSelecting = false;
         this.state.isDraggingVScroll = false;
         this.state.isDraggingHScroll = false;
+        this.state.isResizingLane = false;
+        this.state.laneDrag = null;
+        this.state.loopDrag = null;
         this.state.potentialDeselect = false;
         
         this.draw();
     }
 
+    _onKeyDown(e) {
+        // Edit shortcuts only; plain keys belong to the on-screen keyboard.
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.repeat) return;
+        // The listener is on the window, so leave the keys to the rest of the page unless the piano roll is in use
+        if (!this.state.isPointerOver && document.activeElement !== this.canvas) return;
+        // With nothing to act on the shortcut does nothing, and the browser's own copy and paste still work
+        const hasSelection = this.state.selectedNotes.some(n => n.type !== 'other');
+        const actions = {
+            'KeyC': hasSelection && (() => this._copyNotes()),
+            'KeyX': hasSelection && (() => this._cutNotes()),
+            'KeyV': this.state.clipboard.length > 0 && (() => this._pasteNotes()),
+            'KeyD': hasSelection && (() => this._duplicateNotes()),
+        };
+        const action = actions[e.code];
+        if (!action) return;
+        e.preventDefault();
+        action();
+    }
+
     _onHoverMove(e) {
         const event = { type: 'pointermove', ...this._getMousePos(e) };
         if (this.eventBroker.capturedControl || this.drawer.isPointInBounds(event.x, event.y)) {
@@ -729,10 +2105,11 @@ class PianoRoll {
         }
         const isInteracting = this.state.isPanning || this.state.isDragging || 
                                 this.state.isResizing || this.state.isMarqueeSelecting || 
-                                this.state.isDraggingPlayhead;
+                                this.state.isDraggingPlayhead || this.state.isResizingLane ||
+                                !!this.state.laneDrag || !!this.state.loopDrag;
         if (isInteracting) return;
         const pos = this._getMousePosCorrectedForDrawer(e);
-        this.canvas.style.cursor = this._getCursorStyle(pos);
+        this.canvas.style.cursor = this._getCursorStyle(pos, e.shiftKey);
     }
 
     _onWheel(e) { 
@@ -743,6 +2120,15 @@ class PianoRoll {
             this.drawer.handleEvent(event);
             return;
         }
+        // Ctrl+wheel zooms time around the pointer, Ctrl+Shift+wheel zooms pitch. Trackpad pinches arrive as Ctrl+wheel.
+        if (e.ctrlKey || e.metaKey) {
+            const delta = (e.deltaY || e.deltaX) * (e.deltaMode === 1 ? 33 : 1); // Lines to pixels
+            const factor = Math.exp(-delta * 0.002);
+            const anchor = { x: event.x, y: event.y - this.drawer.getHeight() };
+            if (e.shiftKey) this.zoomBy(1, factor, anchor);
+            else this.zoomBy(factor, 1, anchor);
+            return;
+        }
         this.state.scrollX += e.deltaX; 
         this.state.scrollY += e.deltaY; 
         this._clampScroll(); 
@@ -767,6 +2153,7 @@ class PianoRoll {
         this._drawTimeline(); 
         this._drawPianoKeys(); 
         this._drawGridAndNotes(); 
+        this._drawLane(); 
         this._drawPlayheadAndMarquee(); 
         this._drawScrollbars(); 
         
@@ -795,40 +2182,98 @@ class PianoRoll {
         ctx.fillRect(0, 0, clientWidth, config.timelineHeight); 
         ctx.save(); 
         ctx.translate(config.keysWidth - state.scrollX, 0); 
+        this._drawLoopRegion(); 
         ctx.font = "12px sans-serif"; 
         ctx.textAlign = "left"; 
-        for (let i = 0; i <= config.totalBeats; i++) { 
-            const x = i * config.beatWidth; 
-            const isMeasureLine = i % 4 === 0; 
-            ctx.strokeStyle = isMeasureLine ? config.gridLineDark : config.gridLineLight; 
+        const { barStep, labelStep } = this._getGridDensity(); 
+        let previousSignature = null; 
+        this._getBars(state.ppqn * config.totalBeats).forEach(bar => { 
+            const showBeats = this._tickToPixel(bar.beatTicks) >= config.minGridSpacing; 
+            for (let beat = 0; beat * bar.beatTicks < bar.barTicks; beat++) { 
+                const isMeasureLine = beat === 0; 
+                if (isMeasureLine ? (bar.number - 1) % barStep !== 0 : !showBeats) continue; 
+                const x = this._tickToPixel(bar.tick + beat * bar.beatTicks); 
+                ctx.strokeStyle = isMeasureLine ? config.gridLineDark : config.gridLineLight; 
+                ctx.beginPath(); 
+                ctx.moveTo(x, isMeasureLine ? 15 : 20); 
+                ctx.lineTo(x, config.timelineHeight); 
+                ctx.stroke(); 
+            } 
+            // Bar number, followed by the time signature wherever it changes. Zoomed out, only every
+            // labelStep-th bar is numbered and a change on a skipped bar shows on the next number.
+            if ((bar.number - 1) % labelStep !== 0) return; 
+            const x = this._tickToPixel(bar.tick); 
+            const signature = `${bar.numerator}/${bar.denominator}`; 
+            let label = `${bar.number}`; 
+            if (signature !== previousSignature) label += `  ${signature}`; 
             ctx.fillStyle = config.timelineFontColor; 
+            ctx.fillText(label, x + 4, 12); 
+            previousSignature = signature; 
+        }); 
+        // Tempo changes from the tempo map
+        ctx.font = "10px sans-serif"; 
+        ctx.fillStyle = config.tempoMarkerColor; 
+        ctx.strokeStyle = config.tempoMarkerColor; 
+        state.notes.filter(n => this._isTempoEvent(n)).forEach(n => { 
+            const x = this._tickToPixel(n.time); 
             ctx.beginPath(); 
-            ctx.moveTo(x, isMeasureLine ? 15 : 20); 
+            ctx.moveTo(x, 18); 
             ctx.lineTo(x, config.timelineHeight); 
             ctx.stroke(); 
-            if (isMeasureLine) { 
-                const measureNumber = i / 4 + 1; 
-                ctx.fillText(measureNumber, x + 4, 12); 
+            ctx.fillText(`♩=${Math.round(this._getTempoFromMessage(n.msg))}`, x + 3, config.timelineHeight - 3); 
+        }); 
+        // Markers sit over the bar numbers; lyrics run along the bottom
+        state.notes.filter(n => n.type === 'other' && n.msg[0] === 0xFF && (n.msg[1] === 0x05 || n.msg[1] === 0x06)).forEach(n => { 
+            const x = this._tickToPixel(n.time); 
+            const text = this._getMetaText(n.msg); 
+            if (n.msg[1] === 0x06) { 
+                ctx.font = "11px sans-serif"; 
+                ctx.fillStyle = config.timelineBg; 
+                ctx.fillRect(x, 1, ctx.measureText(text).width + 6, 14); 
+                ctx.fillStyle = config.markerColor; 
+                ctx.fillRect(x, 0, 2, config.timelineHeight); 
+                ctx.fillText(text, x + 4, 12); 
+            } else { 
+                ctx.font = "italic 10px sans-serif"; 
+                ctx.fillStyle = config.lyricColor; 
+                ctx.fillText(text, x + 2, config.timelineHeight - 3); 
             } 
-        } 
+        }); 
         ctx.restore(); 
         ctx.fillStyle = 'rgba(0,0,0,0.3)'; 
         ctx.fillRect(0, config.timelineHeight - 1, clientWidth, 2); 
     }
+    // The loop band fills the timeline, with a grab strip along the top and handles on both edges.
+    _drawLoopRegion() { 
+        const { ctx, config, state } = this; 
+        const x1 = this._tickToPixel(state.loop.start), x2 = this._tickToPixel(state.loop.end); 
+        const color = state.loop.enabled ? config.loopColor : config.loopDisabledColor; 
+        ctx.fillStyle = color; 
+        ctx.fillRect(x1, 0, x2 - x1, config.timelineHeight); 
+        ctx.fillRect(x1, 0, x2 - x1, config.timelineHeight / 2); 
+        ctx.fillRect(x1, 0, config.loopHandleWidth / 2, config.timelineHeight); 
+        ctx.fillRect(x2 - config.loopHandleWidth / 2, 0, config.loopHandleWidth / 2, config.timelineHeight); 
+    }
     _drawPianoKeys() { 
         const { ctx, config, state } = this; 
         const noteNames = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"]; 
         ctx.save(); 
         ctx.translate(0, config.timelineHeight - state.scrollY); 
+        const scalePitches = this._getScalePitchClasses(); 
         for (let i = 0; i < config.totalPitches; i++) { 
             const y = i * config.noteHeight; 
             const pitch = config.totalPitches - 1 - i; 
             const isBlackKey = noteNames[pitch % 12].includes("#"); 
             ctx.fillStyle = isBlackKey ? config.keyBlackColor : config.keyWhiteColor; 
             ctx.fillRect(0, y, config.keysWidth, config.noteHeight); 
+            if (scalePitches && scalePitches.has(pitch % 12)) { 
+                ctx.fillStyle = config.scaleKeyColor; 
+                ctx.fillRect(0, y, config.keysWidth, config.noteHeight); 
+            } 
             ctx.strokeStyle = config.gridLineDark; 
             ctx.strokeRect(0, y, config.keysWidth, config.noteHeight); 
-            if (!isBlackKey) { 
+            // Names stop fitting on short rows, so then only the Cs are named
+            if (!isBlackKey && (config.noteHeight >= 12 || pitch % 12 === 0)) { 
                 ctx.fillStyle = config.keyBlackColor; 
                 ctx.font = "10px sans-serif"; 
                 const octave = Math.floor(pitch / 12) - 1; 
@@ -853,26 +2298,56 @@ class PianoRoll {
         ctx.beginPath(); 
         // Use the calculated height for the clipping region
         ctx.rect(config.keysWidth, config.timelineHeight, 
-                clientWidth - config.keysWidth, pianoRollHeight - config.timelineHeight); 
+                clientWidth - config.keysWidth, this._getGridBottom() - config.timelineHeight); 
         ctx.clip(); 
 
         ctx.translate(config.keysWidth - state.scrollX, config.timelineHeight - state.scrollY); 
 
         // ... (the rest of the function is unchanged)
+        const scalePitches = this._getScalePitchClasses(); 
         for (let i = 0; i < config.totalPitches; i++) { 
             const pitch = config.totalPitches - 1 - i; 
             const isBlackKey = [1, 3, 6, 8, 10].includes(pitch % 12); 
             ctx.fillStyle = isBlackKey ? config.gridBgDark : config.gridBgLight; 
             ctx.fillRect(0, i * config.noteHeight, gridWidth, config.noteHeight); 
+            if (scalePitches && scalePitches.has(pitch % 12)) { 
+                ctx.fillStyle = config.scaleRowColor; 
+                ctx.fillRect(0, i * config.noteHeight, gridWidth, config.noteHeight); 
+            } 
         } 
-        for (let i = 0; i <= config.totalBeats; i++) { 
-            const x = i * config.beatWidth; 
-            ctx.strokeStyle = (i % 4 === 0) ? config.gridLineDark : config.gridLineLight; 
-            ctx.beginPath(); 
-            ctx.moveTo(x, 0); 
-            ctx.lineTo(x, gridHeight); 
-            ctx.stroke(); 
-        } 
+        // Bar and beat lines follow the time-signature map; every other beat is shaded.
+        // Zoomed out, beat lines go first and then bar lines thin out; zoomed in, beats are subdivided.
+        const { barStep } = this._getGridDensity(); 
+        this._getBars(state.ppqn * config.totalBeats).forEach(bar => { 
+            const beatWidth = this._tickToPixel(bar.beatTicks); 
+            const showBeats = beatWidth >= config.minGridSpacing; 
+            let subdivisions = 1; 
+            while (subdivisions < 4 && beatWidth / (subdivisions * 2) >= config.minSubdivisionSpacing) subdivisions *= 2; 
+            const barEnd = bar.tick + bar.barTicks; 
+            for (let beat = 0; beat * bar.beatTicks < bar.barTicks; beat++) { 
+                const beatTick = bar.tick + beat * bar.beatTicks; 
+                const x = this._tickToPixel(beatTick); 
+                if (beat % 2 === 1 && showBeats) { 
+                    const w = this._tickToPixel(Math.min(bar.beatTicks, bar.barTicks - beat * bar.beatTicks)); 
+                    ctx.fillStyle = config.beatShadeColor; 
+                    ctx.fillRect(x, 0, w, gridHeight); 
+                } 
+                ctx.strokeStyle = config.gridSubdivisionColor; 
+                for (let i = 1; i < subdivisions && beatTick + i * bar.beatTicks / subdivisions < barEnd; i++) { 
+                    const subX = this._tickToPixel(beatTick + i * bar.beatTicks / subdivisions); 
+                    ctx.beginPath(); 
+                    ctx.moveTo(subX, 0); 
+                    ctx.lineTo(subX, gridHeight); 
+                    ctx.stroke(); 
+                } 
+                if (beat === 0 ? (bar.number - 1) % barStep !== 0 : !showBeats) continue; 
+                ctx.strokeStyle = beat === 0 ? config.gridLineDark : config.gridLineLight; 
+                ctx.beginPath(); 
+                ctx.moveTo(x, 0); 
+                ctx.lineTo(x, gridHeight); 
+                ctx.stroke(); 
+            } 
+        }); 
         state.notes.filter(note => !this.state.hiddenChannels.has(note.channel)).forEach(note => {
             const rect = this._getNoteRect(note); 
             const isSelected = state.selectedNotes.includes(note); 
@@ -884,6 +2359,118 @@ class PianoRoll {
         }); 
         ctx.restore(); 
     }
+    _drawLane() {
+        const { ctx, config, state } = this;
+        const lane = this._getLaneRect();
+        if (!lane) return;
+
+        ctx.save();
+        ctx.fillStyle = config.laneBg;
+        ctx.fillRect(lane.x, lane.y, lane.width, lane.height);
+        ctx.fillStyle = config.laneHandleColor;
+        ctx.fillRect(lane.x, lane.y, lane.width, 2);
+
+        const spec = this._getLaneSpec();
+        ctx.fillStyle = config.timelineFontColor;
+        ctx.font = "11px sans-serif";
+        ctx.textAlign = "left";
+        ctx.fillText(spec.label, 6, lane.y + 16);
+        if (spec.kind !== 'velocity') ctx.fillText(`Ch ${state.currentChannel + 1}`, 6, lane.y + 30);
+
+        ctx.beginPath();
+        ctx.rect(config.keysWidth, lane.y + 2, lane.width - config.keysWidth, lane.height - 2);
+        ctx.clip();
+
+        // Guide line at the centre value (no bend, centre pan, half velocity)
+        ctx.strokeStyle = config.gridLineLight;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        const midY = this._laneValueToY(Math.ceil((spec.min + spec.max) / 2), lane, spec.max, spec.min);
+        ctx.moveTo(config.keysWidth, midY);
+        ctx.lineTo(lane.width, midY);
+        ctx.stroke();
+
+        ctx.translate(config.keysWidth - state.scrollX, 0);
+        if (spec.kind !== 'velocity') {
+            this._drawAutomation(lane, spec);
+            ctx.restore();
+            return;
+        }
+        const bottomY = this._laneValueToY(0, lane);
+        this._getVisibleNotes().forEach(note => {
+            const x = this._tickToPixel(note.start_tick);
+            const w = this._getLaneBarWidth(note);
+            const y = this._laneValueToY(note.velocity, lane);
+            const isSelected = state.selectedNotes.includes(note);
+            ctx.fillStyle = this.CHANNEL_COLORS[note.channel || 0];
+            ctx.fillRect(x, y, w, bottomY - y);
+            ctx.strokeStyle = isSelected ? config.noteSelectedStrokeColor : config.noteStrokeColor;
+            ctx.lineWidth = isSelected ? 2 : 1;
+            ctx.strokeRect(x, y, w, bottomY - y);
+        });
+        ctx.restore();
+
+        // The ramp line is drawn in screen coordinates over the bars
+        const drag = state.laneDrag;
+        if (drag && drag.mode === 'line') {
+            ctx.save();
+            ctx.strokeStyle = config.noteSelectedStrokeColor;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(drag.x1, drag.y1);
+            ctx.lineTo(drag.x2, drag.y2);
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+    // Draws controller values as held steps, one line per visible channel; the current channel is drawn on top.
+    _drawAutomation(lane, spec) {
+        const { ctx, config, state } = this;
+        const endX = this._tickToPixel(state.ppqn * config.totalBeats);
+        // Tempo is not per channel, so it is drawn as a single line
+        const channels = spec.kind === 'tempo' ? [state.currentChannel] : Array.from({ length: 16 }, (_, i) => i)
+            .filter(ch => ch !== state.currentChannel && !state.hiddenChannels.has(ch));
+        if (spec.kind !== 'tempo') channels.push(state.currentChannel);
+
+        channels.forEach(channel => {
+            const events = this._getAutomationEvents(channel, spec);
+            const points = events.map(ev => ({
+                ev, x: this._tickToPixel(ev.time), y: this._laneValueToY(this._getLaneEventValue(ev, spec), lane, spec.max, spec.min)
+            }));
+            if (spec.kind === 'tempo' && (points.length === 0 || points[0].ev.time > 0)) {
+                // The song tempo holds until the first tempo change
+                points.unshift({ ev: null, x: 0, y: this._laneValueToY(this.bpm, lane, spec.max, spec.min) });
+            }
+            if (points.length === 0) return;
+            const isCurrent = channel === state.currentChannel;
+            const color = spec.kind === 'tempo' ? config.tempoMarkerColor : this.CHANNEL_COLORS[channel];
+
+            ctx.globalAlpha = isCurrent ? 1 : 0.4;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = isCurrent ? 2 : 1;
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            points.forEach((p, i) => {
+                if (i > 0) ctx.lineTo(p.x, points[i - 1].y);
+                ctx.lineTo(p.x, p.y);
+            });
+            ctx.lineTo(endX, points[points.length - 1].y);
+            ctx.stroke();
+
+            ctx.fillStyle = color;
+            points.forEach(p => {
+                if (!p.ev) return;
+                const isDragged = state.laneDrag && state.laneDrag.event === p.ev;
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, isCurrent ? 4 : 3, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.strokeStyle = isDragged ? config.noteSelectedStrokeColor : config.noteStrokeColor;
+                ctx.lineWidth = isDragged ? 2 : 1;
+                ctx.stroke();
+            });
+        });
+        ctx.globalAlpha = 1;
+    }
     _drawPlayheadAndMarquee() { 
         const { ctx, canvas, config, state } = this; 
         const x = config.keysWidth + this._tickToPixel(state.playheadTick) - state.scrollX; 
@@ -913,11 +2500,11 @@ class PianoRoll {
         const contentHeight = config.noteHeight * config.totalPitches;
 
         const viewWidth = clientWidth - config.keysWidth - config.scrollbarSize;
-        const viewHeight = clientHeight - config.timelineHeight - config.scrollbarSize;
+        const viewHeight = this._getGridBottom() - config.timelineHeight;
 
         // Draw Vertical Scrollbar
         if (contentHeight > viewHeight) {
-            const trackHeight = clientHeight - config.timelineHeight;
+            const trackHeight = clientHeight - config.timelineHeight - this._getLaneHeight();
             // Draw track background
             ctx.fillStyle = config.scrollbarBg;
             ctx.fillRect(clientWidth - config.scrollbarSize, config.timelineHeight, config.scrollbarSize, trackHeight);
@@ -949,62 +2536,164 @@ class PianoRoll {
     }
     
     // --- PLAYBACK ---
+    // Playback runs on the synth's AudioContext clock. A timer schedules every event a little
+    // ahead with its exact audio time, walking the sorted event list with a cursor, while the
+    // animation frame loop only moves the playhead. The transport position is the tick at
+    // anchorTime; wrapTime is set once the jump back to the loop start has been scheduled.
     _buildLookaheadEvents() { 
-        const s = this.state; 
+        const s = this.state, t = s.transport; 
         s.lookaheadEvents = []; 
         s.notes.forEach(n => { 
             if (n.type === 'other') {
-                s.lookaheadEvents.push({ type: 'other', tick: n.time, msg: n.msg });
+                // Meta events such as tempo are not sent to the synth; tempo is applied through the tempo map
+                if (n.msg[0] === 0xFF) return;
+                s.lookaheadEvents.push({ type: 'other', tick: n.time, msg: n.msg, channel: n.channel });
                 return;
             }
             s.lookaheadEvents.push({ 
                 type: 'noteOn', tick: n.start_tick, pitch: n.pitch, 
-                velocity: n.velocity, channel: n.channel, isPlaying: false 
+                velocity: n.velocity, channel: n.channel, note: n 
             }); 
             s.lookaheadEvents.push({ 
-                type: 'noteOff', tick: n.start_tick + n.duration_ticks, pitch: n.pitch, channel: n.channel
+                type: 'noteOff', tick: n.start_tick + n.duration_ticks, pitch: n.pitch, channel: n.channel, note: n
             }); 
         }); 
-        s.lookaheadEvents.sort((a,b) => a.tick - b.tick); 
+        // At the same tick, note-offs go first so a repeated pitch isn't cut off by its predecessor
+        const order = { noteOff: 0, other: 1, noteOn: 2 };
+        s.lookaheadEvents.sort((a,b) => a.tick - b.tick || order[a.type] - order[b.type]); 
+        if (!s.isPlaying) return;
+
+        // The song changed under the playhead: carry on from what is already scheduled and
+        // release notes that were deleted or now end before that point
+        t.cursor = this._findLookaheadIndex(t.scheduledTick);
+        const notes = new Set(s.notes);
+        t.sounding.forEach((voice, note) => {
+            if (!notes.has(note) || note.start_tick + note.duration_ticks < t.scheduledTick) {
+                this._sendAt([0x80 | voice.channel, voice.pitch, 0], Math.max(this._getAudioTime(), voice.time));
+                t.sounding.delete(note);
+            }
+        });
     }
-    _playbackLoop(timestamp) { 
-        const s = this.state, c = this.config, canvas = this.canvas; 
-        if (!s.isPlaying) return; 
+    _findLookaheadIndex(tick) {
+        const events = this.state.lookaheadEvents;
+        let low = 0, high = events.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (events[mid].tick < tick) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+    _getAudioTime() {
+        const actx = this.synth && this.synth.audioContext;
+        return actx ? actx.currentTime : performance.now() / 1000;
+    }
+    // Sends a message to the synth at a time on the AudioContext clock; 0 means now.
+    _sendAt(message, time = 0) {
+        if (this.synth) this.synth.send(message, time);
+        else this.onMidiMessage(message);
+    }
+    _getTransportTick(time = this._getAudioTime()) {
+        const s = this.state, t = s.transport;
+        if (t.wrapTime !== null && time >= t.wrapTime) {
+            return this._secondsToTick(this._tickToSeconds(s.loop.start) + time - t.wrapTime);
+        }
+        return this._secondsToTick(this._tickToSeconds(t.anchorTick) + time - t.anchorTime);
+    }
+    // The audio time at which the transport reaches a tick, after the pending loop jump if there is one.
+    _getTransportTime(tick) {
+        const s = this.state, t = s.transport;
+        const [time, originTick] = t.wrapTime !== null ? [t.wrapTime, s.loop.start] : [t.anchorTime, t.anchorTick];
+        return time + this._tickToSeconds(tick) - this._tickToSeconds(originTick);
+    }
+    _seekTransport(tick) {
+        const t = this.state.transport;
+        this._releaseSoundingNotes();
+        t.anchorTime = this._getAudioTime();
+        t.anchorTick = tick;
+        t.wrapTime = null;
+        t.scheduledTick = tick;
+        t.cursor = this._findLookaheadIndex(tick);
+    }
+    // Runs from the timer: moves the transport up to now, then schedules what falls inside the lookahead.
+    _runScheduler() {
+        const s = this.state, t = s.transport, c = this.config;
+        if (!s.isPlaying) return;
+        const now = this._getAudioTime();
+        if (t.wrapTime !== null && now >= t.wrapTime) {
+            if (s.isRecording) {
+                this._advanceRecording(t.anchorTick, s.loop.end);
+                this._closeRecordedNotes(s.loop.end);
+            }
+            t.anchorTime = t.wrapTime;
+            t.anchorTick = s.loop.start;
+            t.wrapTime = null;
+        }
+        const tick = this._getTransportTick(now);
+        if (s.isRecording) this._advanceRecording(t.anchorTick, tick);
+        t.anchorTime = now;
+        t.anchorTick = tick;
+        s.playheadTick = tick;
+
+        // Stop playback if the end is reached, unless a loop further on will bring the playhead back
+        const isLooping = this._isLoopActive() && (tick < s.loop.end || t.wrapTime !== null);
+        if (tick > s.songDurationTicks && !isLooping && !s.isRecording) {
+            this.stop();
+            return;
+        }
 
-        // This is the main playback loop driven by requestAnimationFrame for smooth animation
-        const elapsedMs = timestamp - s.lastFrameTime; 
-        s.lastFrameTime = timestamp; 
-        const ticksPerSecond = (this.bpm / 60) * s.ppqn; 
-        const elapsedTicks = (elapsedMs / 1000) * ticksPerSecond; 
-        const newPlayheadTick = s.playheadTick + elapsedTicks; 
-
-        // Find and process all events between the last frame and this one
-        s.lookaheadEvents.forEach(e => { 
-            if (e.tick >= s.playheadTick && e.tick < newPlayheadTick) { 
-                if (this.state.mutedChannels.has(e.channel)) {
-                    return; // Skip sending MIDI messages for this muted channel
-                }
-                if (e.type === 'noteOn') { 
-                    this.onPlayNote(e); 
-                    // Mark the event as currently playing to handle note-offs correctly
-                    const onEvent = s.lookaheadEvents.find(ev => 
-                        ev.type === 'noteOn' && ev.tick === e.tick && ev.pitch === e.pitch && ev.channel === e.channel); 
-                    if(onEvent) onEvent.isPlaying = true; 
-                } else if (e.type === 'noteOff') { // noteOff
-                    this.onStopNote(e); 
-                    // Find the corresponding noteOn event and mark it as no longer playing
-                    const onEvent = s.lookaheadEvents.find(ev => 
-                        ev.type === 'noteOn' && ev.tick < e.tick && 
-                        ev.pitch === e.pitch && ev.channel === e.channel && ev.isPlaying); 
-                    if(onEvent) onEvent.isPlaying = false; 
-                } else {
-                    // Handle other MIDI events if necessary
-                    this.onMidiMessage(e.msg);
+        // Background tabs only get about one timer call a second, so look further ahead there
+        const horizon = now + (document.hidden ? c.hiddenScheduleAhead : c.scheduleAhead);
+        if (t.wrapTime === null && this._isLoopActive() && t.scheduledTick < s.loop.end) {
+            const loopEndTime = this._getTransportTime(s.loop.end);
+            if (loopEndTime <= horizon) {
+                this._scheduleRange(s.loop.end);
+                this._releaseSoundingNotes(loopEndTime);
+                t.wrapTime = loopEndTime;
+                t.scheduledTick = s.loop.start;
+                t.cursor = this._findLookaheadIndex(s.loop.start);
+            }
+        }
+        let toTick = this._getTransportTick(horizon);
+        // Only one jump can be pending; the next pass is scheduled once the playhead has wrapped
+        if (t.wrapTime !== null && this._isLoopActive()) toTick = Math.min(toTick, s.loop.end);
+        if (toTick > t.scheduledTick) this._scheduleRange(toTick);
+    }
+    // Sends every event from the scheduled position up to toTick with its audio time.
+    _scheduleRange(toTick) {
+        const s = this.state, t = s.transport, events = s.lookaheadEvents;
+        if (s.metronomeEnabled) this._clickMetronomeInRange(t.scheduledTick, toTick);
+        while (t.cursor < events.length && events[t.cursor].tick < toTick) {
+            const e = events[t.cursor++];
+            const time = this._getTransportTime(e.tick);
+            if (e.type === 'noteOff') {
+                const voice = t.sounding.get(e.note);
+                if (voice) {
+                    this._sendAt([0x80 | e.channel, e.pitch, 0], time);
+                    t.sounding.delete(e.note);
                 }
-            } 
-        }); 
-
-        s.playheadTick = newPlayheadTick; 
+                continue;
+            }
+            if (s.mutedChannels.has(e.channel)) {
+                continue; // Skip sending MIDI messages for this muted channel
+            }
+            if (s.isRecording && s.recording.mode === 'replace' && e.type === 'noteOn' && e.channel === s.currentChannel) {
+                continue; // The take is replacing this channel, so don't play what is being recorded over
+            }
+            if (e.type === 'noteOn') {
+                this._sendAt([0x90 | e.channel, e.pitch, e.velocity], time);
+                t.sounding.set(e.note, { channel: e.channel, pitch: e.pitch, time });
+            } else {
+                this._sendAt(e.msg, time);
+            }
+        }
+        t.scheduledTick = Math.max(t.scheduledTick, toTick);
+    }
+    // Only draws: the playhead follows the audio clock and the scheduler does the rest.
+    _playbackLoop() { 
+        const s = this.state, c = this.config, canvas = this.canvas; 
+        if (!s.isPlaying) return; 
+        s.playheadTick = this._getTransportTick(); 
 
         // Auto-scroll logic
         const playheadX = this._tickToPixel(s.playheadTick); 
@@ -1013,13 +2702,24 @@ class PianoRoll {
             s.scrollX = playheadX - viewWidth * 0.2; 
         }
         this._clampScroll(); 
-
-        // Stop playback if the end is reached
-        if (s.playheadTick > s.songDurationTicks) this.stop(); 
         
         this.draw(); 
         requestAnimationFrame(this._playbackLoop.bind(this)); 
     }
+    // Releases every scheduled note at the given audio time, or now. A note-on that is still
+    // ahead of that time is released as it starts, since scheduled notes can't be withdrawn.
+    _releaseSoundingNotes(time = 0) { 
+        const t = this.state.transport; 
+        const at = time || this._getAudioTime(); 
+        t.sounding.forEach(voice => { 
+            this._sendAt([0x80 | voice.channel, voice.pitch, 0], Math.max(at, voice.time)); 
+        }); 
+        t.sounding.clear(); 
+    }
+    _isLoopActive() { 
+        const loop = this.state.loop; 
+        return loop.enabled && loop.end > loop.start; 
+    }
 
     // --- MOUSE INTERACTION LOGIC ---
     _handleNoteMouseDown(e, note, pos) { 
@@ -1065,6 +2765,7 @@ class PianoRoll {
                 velocity: 100,
                 channel: s.currentChannel
             };
+            if (this._isSnappedToScale(newNote)) newNote.pitch = this._snapPitchToScale(newNote.pitch);
             s.notes.push(newNote);
             s.selectedNotes = [newNote];
             s.wasAddingNote = true;
@@ -1096,7 +2797,7 @@ class PianoRoll {
             const newGridPixelY = this._getGridPos(pos).y - offset.pixelOffsetY; 
             const newPos = this._pixelToGrid({ x: newGridPixelX, y: newGridPixelY }); 
             offset.note.start_tick = newPos.tick; 
-            offset.note.pitch = newPos.pitch; 
+            offset.note.pitch = this._isSnappedToScale(offset.note) ? this._snapPitchToScale(newPos.pitch) : newPos.pitch; 
         }); 
         this.draw(); 
     }
@@ -1131,7 +2832,8 @@ class PianoRoll {
         const { clientWidth, clientHeight } = this._getClientDimensions();
         
         // For vertical scrollbar
-        if (pos.x > clientWidth - c.scrollbarSize && pos.y > c.timelineHeight) {
+        if (pos.x > clientWidth - c.scrollbarSize && pos.y > c.timelineHeight &&
+            pos.y < clientHeight - this._getLaneHeight()) {
             s.isDraggingVScroll = true;
             s.dragStartPos = { ...pos }; // Record starting mouse position
             s.dragStartScroll.y = s.scrollY; // Record starting scroll position
@@ -1156,7 +2858,7 @@ class PianoRoll {
 
         if (s.isDraggingVScroll) {
             const dy = pos.y - s.dragStartPos.y; // Total mouse Y delta
-            const viewHeight = clientHeight - c.timelineHeight - c.scrollbarSize;
+            const viewHeight = this._getGridBottom() - c.timelineHeight;
             const ratio = contentHeight / viewHeight;
             s.scrollY = s.dragStartScroll.y + dy * ratio; // Calculate new position
         }
@@ -1178,18 +2880,543 @@ class PianoRoll {
         this._clampScroll(); 
         this.draw(); 
     }
+    // --- ZOOM ---
+    /**
+     * Sets the size of a beat and a pitch row, keeping the tick and pitch under the anchor in place.
+     * Both are clamped to the min/max limits in the config.
+     * @param {number} beatWidth - Pixels per quarter note.
+     * @param {number} noteHeight - Pixels per pitch row.
+     * @param {{x: number, y: number}} [anchor] - Point below the drawer; defaults to the middle of the grid.
+     */
+    setZoom(beatWidth, noteHeight, anchor = this._getGridCenter()) {
+        const s = this.state, c = this.config;
+        const gridX = anchor.x - c.keysWidth, gridY = anchor.y - c.timelineHeight;
+        const beats = (gridX + s.scrollX) / c.beatWidth;
+        const rows = (gridY + s.scrollY) / c.noteHeight;
+        c.beatWidth = Math.max(c.minBeatWidth, Math.min(c.maxBeatWidth, beatWidth));
+        c.noteHeight = Math.max(c.minNoteHeight, Math.min(c.maxNoteHeight, noteHeight));
+        s.scrollX = beats * c.beatWidth - gridX;
+        s.scrollY = rows * c.noteHeight - gridY;
+        this._clampScroll();
+        this.draw();
+    }
+    zoomBy(factorX, factorY, anchor) {
+        this.setZoom(this.config.beatWidth * factorX, this.config.noteHeight * factorY, anchor);
+    }
+    async zoomToSelection() {
+        const notes = this.state.selectedNotes.filter(n => n.type !== 'other');
+        if (notes.length === 0) {
+            this.drawer.dialogs['Error'][0].controls[0].label = 'Select some notes to zoom to.';
+            await this.drawer.openDialog('Error');
+            return;
+        }
+        this._zoomToNotes(notes);
+    }
+    /**
+     * Which bar lines and bar numbers to draw at the current zoom: every barStep-th bar line and
+     * every labelStep-th bar number, both powers of two so they stay on the same bars as the zoom changes.
+     */
+    _getGridDensity() {
+        const c = this.config;
+        const barWidth = c.beatWidth * 4; // A 4/4 bar; near enough to thin out any meter
+        const step = (minSpacing) => { let n = 1; while (barWidth * n < minSpacing) n *= 2; return n; };
+        return { barStep: step(c.minGridSpacing), labelStep: step(c.minLabelSpacing) };
+    }
+    // Fits the song from its start to its last event and the pitches of every visible note.
+    // An empty song shows the first four bars around middle C.
+    zoomToFit() {
+        const s = this.state;
+        const notes = s.notes.filter(n => n.type !== 'other' && !s.hiddenChannels.has(n.channel));
+        if (notes.length === 0) {
+            this._zoomToRange(0, s.ppqn * 16, 48, 72);
+            return;
+        }
+        this._zoomToNotes(notes, 0, Math.max(s.songDurationTicks, ...notes.map(n => n.start_tick + n.duration_ticks)));
+    }
+    _zoomToNotes(notes, startTick = Math.min(...notes.map(n => n.start_tick)), endTick = Math.max(...notes.map(n => n.start_tick + n.duration_ticks))) {
+        const pitches = notes.map(n => n.pitch);
+        this._zoomToRange(startTick, endTick, Math.min(...pitches), Math.max(...pitches));
+    }
+    // Zooms so the ticks and pitches fill the grid with a little room around them, then centres them.
+    _zoomToRange(startTick, endTick, lowPitch, highPitch) {
+        const s = this.state, c = this.config;
+        const width = this._getClientWidth() - c.keysWidth - c.scrollbarSize;
+        const height = this._getGridBottom() - c.timelineHeight;
+        const beats = Math.max(endTick - startTick, s.ppqn) / s.ppqn;
+        c.beatWidth = Math.max(c.minBeatWidth, Math.min(c.maxBeatWidth, width / (beats * 1.1)));
+        c.noteHeight = Math.max(c.minNoteHeight, Math.min(c.maxNoteHeight, height / (highPitch - lowPitch + 3)));
+        s.scrollX = this._tickToPixel((startTick + endTick) / 2) - width / 2;
+        s.scrollY = (this._pitchToPixel(highPitch) + this._pitchToPixel(lowPitch) + c.noteHeight) / 2 - height / 2;
+        this._clampScroll();
+        this.draw();
+    }
+    _getGridCenter() {
+        const c = this.config;
+        return {
+            x: (c.keysWidth + this._getClientWidth() - c.scrollbarSize) / 2,
+            y: (c.timelineHeight + this._getGridBottom()) / 2
+        };
+    }
+    _startPinch(e) {
+        const s = this.state;
+        // The first finger may already have added, selected or started moving a note; a pinch takes it back
+        if (s.touchUndo && s.undoHistory.length > 0 && s.undoHistory[s.undoHistory.length - 1] !== s.touchUndo.top) {
+            s.notes = s.undoHistory.pop();
+            s.selectedNotes = [];
+        }
+        this._onInteractionEnd(e);
+        const [a, b] = e.touches;
+        s.pinch = {
+            spreadX: Math.abs(a.clientX - b.clientX),
+            spreadY: Math.abs(a.clientY - b.clientY),
+            beatWidth: this.config.beatWidth,
+            noteHeight: this.config.noteHeight
+        };
+    }
+    // Each axis zooms by how far the fingers spread along it, so a sideways pinch leaves the rows alone.
+    _handlePinch(touches) {
+        const p = this.state.pinch, [a, b] = touches;
+        const rect = this.canvas.getBoundingClientRect();
+        const factorX = p.spreadX > 40 ? Math.abs(a.clientX - b.clientX) / p.spreadX : 1;
+        const factorY = p.spreadY > 40 ? Math.abs(a.clientY - b.clientY) / p.spreadY : 1;
+        const anchor = {
+            x: (a.clientX + b.clientX) / 2 - rect.left,
+            y: (a.clientY + b.clientY) / 2 - rect.top - this.drawer.getHeight()
+        };
+        this.setZoom(p.beatWidth * factorX, p.noteHeight * factorY, anchor);
+    }
+    // --- RECORDING ---
+    toggleRecord() {
+        const s = this.state;
+        if (s.isRecording || s.isCountingIn) {
+            if (s.isCountingIn) this._cancelCountIn();
+            else this._stopRecording();
+            this.draw();
+            return;
+        }
+        const startRecording = () => {
+            // The whole take is a single undo step
+            this._saveStateForUndo();
+            s.recording.startTick = s.playheadTick;
+            s.recording.openNotes = new Map();
+            s.recording.take = new Set();
+            s.recording.controllers = new Map();
+            s.isRecording = true;
+            if (!s.isPlaying) this._startPlayback();
+        };
+        if (!s.isPlaying && s.countInBars > 0) {
+            this._startCountIn(s.countInBars).then(started => { if (started) startRecording(); });
+        } else {
+            startRecording();
+        }
+        this.draw();
+    }
+    _stopRecording() {
+        const s = this.state;
+        this._closeRecordedNotes(this._getLiveTick());
+        s.isRecording = false;
+        this._recalculateSongDuration();
+        this._scheduleAutosave();
+        if (s.isPlaying) this._buildLookaheadEvents();
+    }
+    // The playhead only moves once per frame, so read the transport for when the message actually arrived.
+    _getLiveTick() {
+        const s = this.state;
+        return s.isPlaying ? this._getTransportTick() : s.playheadTick;
+    }
+    _recordMidiMessage(message) {
+        const s = this.state, rec = s.recording;
+        const [status, data1, data2] = message;
+        const command = status & 0xF0;
+        const channel = s.currentChannel;
+        let tick = Math.round(this._getLiveTick());
+
+        if (command === 0x90 && data2 > 0) {
+            if (rec.quantize > 0) tick = Math.max(0, Math.round(this._quantizeTick(tick, rec.quantize)));
+            if (rec.openNotes.has(data1)) this._closeRecordedNote(data1, tick);
+            const note = {
+                pitch: data1, velocity: data2, channel,
+                start_tick: tick, duration_ticks: s.ppqn / 16, type: 'note'
+            };
+            s.notes.push(note);
+            rec.openNotes.set(data1, note);
+            rec.take.add(note);
+        } else if (command === 0x80 || command === 0x90) {
+            this._closeRecordedNote(data1, tick);
+        } else if (command === 0xB0 || command === 0xE0) {
+            const event = {
+                type: 'other',
+                time: tick,
+                msg: [command | channel, data1, data2],
+                eventType: command === 0xE0 ? 'pitchBend' : (data1 === 7 ? 'volumeChange' : 'controlChange'),
+                channel
+            };
+            s.notes.push(event);
+            rec.take.add(event);
+            const spec = command === 0xE0 ? { kind: 'pitchBend' } : { kind: 'cc', number: data1 };
+            rec.controllers.set(command === 0xE0 ? 'pitchBend' : `cc${data1}`, spec);
+        }
+    }
+    _closeRecordedNote(pitch, endTick) {
+        const s = this.state, rec = s.recording;
+        const note = rec.openNotes.get(pitch);
+        if (!note) return;
+        note.duration_ticks = Math.max(s.ppqn / 16, Math.round(endTick - note.start_tick));
+        rec.openNotes.delete(pitch);
+    }
+    _closeRecordedNotes(endTick) {
+        Array.from(this.state.recording.openNotes.keys()).forEach(pitch => this._closeRecordedNote(pitch, endTick));
+    }
+    // Called every frame while recording: held notes grow with the playhead and, in replace mode,
+    // the current channel's notes and any controllers the take has sent are cleared as the playhead
+    // passes over them. Program changes, pan and the like are left alone unless they're being recorded.
+    _advanceRecording(fromTick, toTick) {
+        const s = this.state, rec = s.recording;
+        rec.openNotes.forEach(note => {
+            note.duration_ticks = Math.max(s.ppqn / 16, Math.round(toTick - note.start_tick));
+        });
+        if (rec.mode !== 'replace') return;
+        const specs = Array.from(rec.controllers.values());
+        const kept = s.notes.filter(n => {
+            if (rec.take.has(n) || n.channel !== s.currentChannel) return true;
+            if (n.type === 'other' && !specs.some(spec => this._isLaneEvent(n, spec))) return true;
+            const tick = n.type === 'other' ? n.time : n.start_tick;
+            return tick < fromTick || tick >= toTick;
+        });
+        // Only swap the array when something went, so the timing cache survives the frames that clear nothing
+        if (kept.length !== s.notes.length) s.notes = kept;
+    }
+    /**
+     * Clicks the metronome for the given number of bars at the playhead's tempo and meter.
+     * Resolves true when the count-in completes, false if it was cancelled.
+     */
+    _startCountIn(bars) {
+        const s = this.state;
+        const bar = this._getBars(s.playheadTick + 1).pop();
+        const beatsPerBar = Math.ceil(bar.barTicks / bar.beatTicks);
+        const tempo = this._getTempoMap().filter(t => t.tick <= s.playheadTick).pop().bpm;
+        const beatMs = bar.beatTicks / s.ppqn * 60000 / tempo;
+
+        s.isCountingIn = true;
+        return new Promise(resolve => {
+            s.countInResolve = resolve;
+            for (let i = 0; i < bars * beatsPerBar; i++) {
+                s.countInTimers.push(setTimeout(() => this._playMetronomeClick(i % beatsPerBar === 0), i * beatMs));
+            }
+            s.countInTimers.push(setTimeout(() => {
+                s.isCountingIn = false;
+                s.countInTimers = [];
+                s.countInResolve = null;
+                resolve(true);
+            }, bars * beatsPerBar * beatMs));
+        });
+    }
+    _cancelCountIn() {
+        const s = this.state;
+        s.countInTimers.forEach(timer => clearTimeout(timer));
+        s.countInTimers = [];
+        s.isCountingIn = false;
+        if (s.countInResolve) s.countInResolve(false);
+        s.countInResolve = null;
+    }
+    // Schedules a click on every beat in [fromTick, toTick), following the time-signature and tempo maps.
+    _clickMetronomeInRange(fromTick, toTick) {
+        this._getBars(toTick)
+            .filter(bar => bar.tick + bar.barTicks > fromTick)
+            .forEach(bar => {
+                for (let beat = 0; beat * bar.beatTicks < bar.barTicks; beat++) {
+                    const tick = bar.tick + beat * bar.beatTicks;
+                    if (tick >= fromTick && tick < toTick) this._playMetronomeClick(beat === 0, this._getTransportTime(tick));
+                }
+            });
+    }
+    // Clicks go straight to the synth on the GM drum channel and are never stored in the song.
+    _playMetronomeClick(isDownbeat, time = 0) {
+        const pitch = isDownbeat ? 76 : 77; // Hi / Low Wood Block
+        const at = time || this._getAudioTime();
+        this._sendAt([0x99, pitch, isDownbeat ? 127 : 90], at);
+        this._sendAt([0x89, pitch, 0], at + 0.05);
+    }
+
+    // --- LOOP REGION ---
+    // Edges resize the loop, the top half of the band moves it and Shift-drag draws a new one.
+    // While Loop is off the band only responds with Shift held, so the timeline still drags the playhead.
+    _handleLoopMouseDown(pos, e) {
+        const s = this.state;
+        const hit = this._getLoopHitAt(pos, e.shiftKey);
+        const tick = this._getLoopTickAt(pos);
+        if (hit) {
+            s.loopDrag = { mode: hit, startTick: tick, start: s.loop.start, end: s.loop.end };
+        } else if (e.shiftKey) {
+            s.loopDrag = { mode: 'end', startTick: tick, start: tick, end: tick };
+            s.loop.start = s.loop.end = tick;
+        } else {
+            return false;
+        }
+        this.draw();
+        return true;
+    }
+    _handleLoopDrag(pos) {
+        const s = this.state, drag = s.loopDrag;
+        const tick = this._getLoopTickAt(pos);
+        if (drag.mode === 'move') {
+            const delta = Math.max(-drag.start, tick - drag.startTick);
+            s.loop.start = drag.start + delta;
+            s.loop.end = drag.end + delta;
+        } else {
+            // Dragging one edge past the other swaps which edge is held
+            const fixed = drag.mode === 'start' ? drag.end : drag.start;
+            s.loop.start = Math.min(fixed, tick);
+            s.loop.end = Math.max(fixed, tick);
+        }
+        this.draw();
+    }
+    _getLoopHitAt(pos, shiftKey = false) {
+        const c = this.config, loop = this.state.loop;
+        if (!loop.enabled && !shiftKey) return null;
+        const gridX = pos.x - c.keysWidth + this.state.scrollX;
+        const x1 = this._tickToPixel(loop.start), x2 = this._tickToPixel(loop.end);
+        if (Math.abs(gridX - x1) <= c.loopHandleWidth) return 'start';
+        if (Math.abs(gridX - x2) <= c.loopHandleWidth) return 'end';
+        if (gridX > x1 && gridX < x2 && pos.y < c.timelineHeight / 2) return 'move';
+        return null;
+    }
+    _getLoopTickAt(pos) {
+        const step = this.state.ppqn / 4;
+        const tick = this._pixelToTick(pos.x - this.config.keysWidth + this.state.scrollX);
+        return Math.max(0, Math.round(tick / step) * step);
+    }
+
     _handlePlayheadDrag(pos) { 
         const gridX = pos.x - this.config.keysWidth + this.state.scrollX; 
         const tick = (gridX / this.config.beatWidth) * this.state.ppqn; 
         this.state.playheadTick = Math.max(0, tick); 
-        // If playing, update the lookahead events to avoid re-triggering past notes
+        // If playing, carry on from the new position without re-triggering past notes
         if (this.state.isPlaying) {
-            this._buildLookaheadEvents();
+            this._seekTransport(this.state.playheadTick);
         }
         this.draw(); 
         this.state.playheadLastDraggedTime = performance.now();
     }
 
+    // --- VELOCITY & AUTOMATION LANES ---
+    // Returns true if the pointer went down inside the lane and the lane took the interaction.
+    _handleLaneMouseDown(pos, e) {
+        const s = this.state, c = this.config;
+        const lane = this._getLaneRect();
+        if (!lane || !this.isPointInRect(pos.x, pos.y, lane)) return false;
+
+        if (pos.y < lane.y + c.laneHandleHeight) {
+            s.isResizingLane = true;
+            s.dragStartPos = { ...pos };
+            s.resizeStartLaneHeight = s.laneHeight;
+            return true;
+        }
+        if (pos.x < c.keysWidth) return true;
+
+        const spec = this._getLaneSpec();
+        if (spec.kind !== 'velocity') return this._handleAutomationMouseDown(pos, e, lane, spec);
+
+        const bars = this._getLaneBarsAt(pos.x);
+        if (bars.length > 0) {
+            // Dragging a bar (or a stack of bars for a chord) sets the velocity directly
+            this._saveStateForUndo();
+            s.laneDrag = { mode: 'bar', notes: bars };
+            this._handleLaneDrag(pos);
+        } else {
+            // Dragging across empty space draws a line that ramps every bar it spans
+            s.laneDrag = { mode: 'line', x1: pos.x, y1: pos.y, x2: pos.x, y2: pos.y };
+        }
+        return true;
+    }
+    _handleLaneResize(pos) {
+        const s = this.state, c = this.config;
+        const maxHeight = this._getClientHeight() - c.timelineHeight - c.scrollbarSize - c.laneMinHeight;
+        const newHeight = s.resizeStartLaneHeight - (pos.y - s.dragStartPos.y);
+        s.laneHeight = Math.max(c.laneMinHeight, Math.min(maxHeight, newHeight));
+        this._clampScroll();
+        this.draw();
+    }
+    _handleLaneDrag(pos) {
+        const drag = this.state.laneDrag;
+        const lane = this._getLaneRect();
+        if (!drag || !lane) return;
+        if (drag.mode === 'bar') {
+            const velocity = this._laneYToValue(pos.y, lane);
+            drag.notes.forEach(n => { n.velocity = Math.max(1, velocity); });
+        } else if (drag.mode === 'point') {
+            // Points move relative to where they were grabbed, in 16th-note steps
+            const step = this.state.ppqn / 4;
+            const deltaTicks = this._pixelToTick(pos.x - drag.startPos.x);
+            const time = Math.max(0, drag.startTime + Math.round(deltaTicks / step) * step);
+            const value = this._laneYToValue(drag.startY + pos.y - drag.startPos.y, lane, drag.spec.max, drag.spec.min);
+            const msg = this._makeLaneMessage(drag.spec, drag.event.channel, value);
+            if (time === drag.event.time && msg.every((byte, i) => byte === drag.event.msg[i])) return;
+            if (!drag.isSaved) {
+                this._saveStateForUndo();
+                drag.isSaved = true;
+            }
+            drag.event.time = time;
+            drag.event.msg = msg;
+            if (drag.spec.kind === 'tempo') this._invalidateTimingCache();
+        } else {
+            drag.x2 = pos.x;
+            drag.y2 = pos.y;
+        }
+        this.draw();
+    }
+    _finishLaneDrag() {
+        const drag = this.state.laneDrag;
+        const lane = this._getLaneRect();
+        if (drag && drag.mode === 'point') {
+            if (drag.spec.kind === 'tempo') this._syncBaseTempo();
+            if (this.state.isPlaying) this._buildLookaheadEvents();
+            return;
+        }
+        if (!drag || drag.mode !== 'line' || !lane) return;
+        const left = Math.min(drag.x1, drag.x2), right = Math.max(drag.x1, drag.x2);
+        const targets = this._getEditableLaneNotes().filter(n => {
+            const x = this._laneTickToX(n.start_tick);
+            return x >= left && x <= right;
+        });
+        if (targets.length === 0 || right === left) return;
+
+        this._saveStateForUndo();
+        targets.forEach(n => {
+            const ratio = (this._laneTickToX(n.start_tick) - drag.x1) / (drag.x2 - drag.x1);
+            const y = drag.y1 + ratio * (drag.y2 - drag.y1);
+            n.velocity = Math.max(1, this._laneYToValue(y, lane));
+        });
+        if (this.state.isPlaying) this._buildLookaheadEvents();
+    }
+    _handleAutomationMouseDown(pos, e, lane, spec) {
+        const s = this.state;
+        const hit = this._getAutomationPointAt(pos, lane, spec);
+        const now = performance.now();
+        const isDoubleTap = hit && s.laneLastTap && s.laneLastTap.event === hit && now - s.laneLastTap.time < 300;
+        s.laneLastTap = hit ? { event: hit, time: now } : null;
+
+        if (hit && (e.altKey || isDoubleTap)) {
+            // Alt-click or double-tap removes a point
+            this._saveStateForUndo();
+            s.notes = s.notes.filter(n => n !== hit);
+            s.laneLastTap = null;
+            if (spec.kind === 'tempo') this._syncBaseTempo();
+            if (s.isPlaying) this._buildLookaheadEvents();
+            this._scheduleAutosave();
+            this.draw();
+            return true;
+        }
+
+        // Grabbing an existing point only takes an undo snapshot once the drag actually changes it
+        let point = hit;
+        if (!point) {
+            this._saveStateForUndo();
+            const step = s.ppqn / 4;
+            const tick = this._pixelToTick(pos.x - this.config.keysWidth + s.scrollX);
+            point = {
+                type: 'other',
+                time: Math.max(0, Math.round(tick / step) * step),
+                msg: this._makeLaneMessage(spec, s.currentChannel, this._laneYToValue(pos.y, lane, spec.max, spec.min)),
+                eventType: this._getLaneEventType(spec)
+            };
+            if (spec.kind !== 'tempo') point.channel = s.currentChannel;
+            s.notes.push(point);
+            if (spec.kind === 'tempo') this._invalidateTimingCache();
+        }
+        s.laneDrag = {
+            mode: 'point', event: point, spec, startPos: { ...pos }, startTime: point.time, isSaved: !hit,
+            startY: this._laneValueToY(this._getLaneEventValue(point, spec), lane, spec.max, spec.min)
+        };
+        this.draw();
+        return true;
+    }
+    _getAutomationPointAt(pos, lane, spec) {
+        const radius = 6;
+        return this._getAutomationEvents(this.state.currentChannel, spec).find(ev => {
+            const x = this._laneTickToX(ev.time);
+            const y = this._laneValueToY(this._getLaneEventValue(ev, spec), lane, spec.max, spec.min);
+            return Math.abs(pos.x - x) <= radius && Math.abs(pos.y - y) <= radius;
+        }) || null;
+    }
+    _getLaneSpec() {
+        const type = this.state.laneType;
+        if (type === 'tempo') return { kind: 'tempo', label: 'Tempo', min: 20, max: 300 };
+        if (type === 'pitchBend') return { kind: 'pitchBend', label: 'Pitch Bend', min: 0, max: 16383 };
+        if (type === 'program') return { kind: 'program', label: 'Program', min: 0, max: 127 };
+        if (type.startsWith('cc')) {
+            const number = parseInt(type.slice(2), 10);
+            return { kind: 'cc', number, label: this.CC_NAMES[number] || `CC ${number}`, min: 0, max: 127 };
+        }
+        return { kind: 'velocity', label: 'Velocity', min: 0, max: 127 };
+    }
+    // Keeps the identifiers _setTrackParameter uses so both editors replace each other's events.
+    _getLaneEventType(spec) {
+        if (spec.kind === 'tempo') return 'tempo';
+        if (spec.kind === 'program') return 'programChange';
+        if (spec.kind === 'pitchBend') return 'pitchBend';
+        return spec.number === 7 ? 'volumeChange' : 'controlChange';
+    }
+    _isLaneEvent(ev, spec) {
+        if (spec.kind === 'tempo') return this._isTempoEvent(ev);
+        if (ev.type !== 'other' || !Array.isArray(ev.msg) || ev.msg[0] >= 0xF0) return false;
+        const command = ev.msg[0] & 0xF0;
+        if (spec.kind === 'cc') return command === 0xB0 && ev.msg[1] === spec.number;
+        if (spec.kind === 'pitchBend') return command === 0xE0;
+        if (spec.kind === 'program') return command === 0xC0;
+        return false;
+    }
+    _getAutomationEvents(channel, spec) {
+        return this.state.notes
+            .filter(ev => this._isLaneEvent(ev, spec) && (spec.kind === 'tempo' || (ev.msg[0] & 0x0F) === channel))
+            .sort((a, b) => a.time - b.time);
+    }
+    _getLaneEventValue(ev, spec) {
+        if (spec.kind === 'tempo') return Math.round(this._getTempoFromMessage(ev.msg));
+        if (spec.kind === 'pitchBend') return ev.msg[1] | (ev.msg[2] << 7);
+        if (spec.kind === 'program') return ev.msg[1];
+        return ev.msg[2];
+    }
+    _makeLaneMessage(spec, channel, value) {
+        if (spec.kind === 'tempo') return this._makeTempoMessage(value);
+        if (spec.kind === 'pitchBend') return [0xE0 | channel, value & 0x7F, (value >> 7) & 0x7F];
+        if (spec.kind === 'program') return [0xC0 | channel, value];
+        return [0xB0 | channel, spec.number, value];
+    }
+    _getVisibleNotes() {
+        return this.state.notes.filter(n => n.type !== 'other' && !this.state.hiddenChannels.has(n.channel));
+    }
+    // When notes are selected, lane edits only touch the selection.
+    _getEditableLaneNotes() {
+        const visible = this._getVisibleNotes();
+        const selected = visible.filter(n => this.state.selectedNotes.includes(n));
+        return selected.length > 0 ? selected : visible;
+    }
+    _getLaneBarsAt(x) {
+        const slop = 2;
+        return this._getEditableLaneNotes().filter(n => {
+            const barX = this._laneTickToX(n.start_tick);
+            return x >= barX - slop && x <= barX + this._getLaneBarWidth(n) + slop;
+        });
+    }
+    _getLaneBarWidth(note) {
+        return Math.max(3, Math.min(8, this._tickToPixel(note.duration_ticks) - 1));
+    }
+    _laneTickToX(tick) {
+        return this.config.keysWidth + this._tickToPixel(tick) - this.state.scrollX;
+    }
+    _laneValueToY(value, lane, max = 127, min = 0) {
+        const top = lane.y + this.config.laneHandleHeight;
+        const usable = lane.height - this.config.laneHandleHeight - 2;
+        return top + usable * (1 - (value - min) / (max - min));
+    }
+    _laneYToValue(y, lane, max = 127, min = 0) {
+        const top = lane.y + this.config.laneHandleHeight;
+        const usable = lane.height - this.config.laneHandleHeight - 2;
+        const ratio = 1 - (y - top) / usable;
+        return min + Math.round(Math.max(0, Math.min(1, ratio)) * (max - min));
+    }
+
     // --- INSTRUMENT / VOLUME CHANGE / MUTE ---
     toggleMute(channel) {
         if (this.state.mutedChannels.has(channel)) {
@@ -1259,9 +3486,158 @@ class PianoRoll {
         }
 
         this._buildLookaheadEvents();
+        this._scheduleAutosave();
         this.draw();
     }
 
+    // --- TEMPO MAP ---
+    _isTempoEvent(ev) {
+        return ev.type === 'other' && Array.isArray(ev.msg) && ev.msg[0] === 0xFF && ev.msg[1] === 0x51;
+    }
+    _makeTempoMessage(bpm) {
+        const microsecondsPerQuarterNote = Math.round(60000000 / bpm);
+        return [0xFF, 0x51, 0x03,
+                (microsecondsPerQuarterNote >> 16) & 0xFF,
+                (microsecondsPerQuarterNote >> 8) & 0xFF,
+                microsecondsPerQuarterNote & 0xFF];
+    }
+    _getTempoFromMessage(msg) {
+        const microsecondsPerQuarterNote = (msg[3] << 16) | (msg[4] << 8) | msg[5];
+        return 60000000 / microsecondsPerQuarterNote;
+    }
+    /**
+     * The scheduler converts ticks to seconds for every event, so the tempo map, the time-signature map
+     * and the bars built from them are kept until the notes array is replaced (edit, undo, load), the
+     * base tempo or ppqn changes, or _invalidateTimingCache is called after a meta event is edited in place.
+     */
+    _getTimingCache() {
+        const s = this.state, cache = this.timingCache;
+        if (cache && cache.notes === s.notes && cache.bpm === this.bpm && cache.ppqn === s.ppqn) return cache;
+        this.timingCache = {
+            notes: s.notes, bpm: this.bpm, ppqn: s.ppqn,
+            tempoMap: this._buildTempoMap(),
+            signatures: this._buildTimeSignatureMap(),
+            bars: [] // Filled in as far as _getBars has been asked for
+        };
+        return this.timingCache;
+    }
+    _invalidateTimingCache() {
+        this.timingCache = null;
+    }
+    _getTempoMap() {
+        return this._getTimingCache().tempoMap;
+    }
+    /**
+     * Returns the tempo changes sorted by tick, each with the time in seconds at which it starts.
+     * The song tempo (this.bpm) applies from tick 0 unless a tempo event sits at tick 0.
+     */
+    _buildTempoMap() {
+        const changes = this.state.notes
+            .filter(n => this._isTempoEvent(n))
+            .map(n => ({ tick: n.time, bpm: this._getTempoFromMessage(n.msg) }))
+            .sort((a, b) => a.tick - b.tick);
+        if (changes.length === 0 || changes[0].tick > 0) changes.unshift({ tick: 0, bpm: this.bpm });
+
+        let seconds = 0;
+        return changes.map((change, i) => {
+            if (i > 0) {
+                const prev = changes[i - 1];
+                seconds += (change.tick - prev.tick) / this.state.ppqn * 60 / prev.bpm;
+            }
+            return { ...change, seconds };
+        });
+    }
+    _tickToSeconds(tick) {
+        const map = this._getTempoMap();
+        const segment = map.filter(t => t.tick <= tick).pop() || map[0];
+        return segment.seconds + (tick - segment.tick) / this.state.ppqn * 60 / segment.bpm;
+    }
+    _secondsToTick(seconds) {
+        const map = this._getTempoMap();
+        const segment = map.filter(t => t.seconds <= seconds).pop() || map[0];
+        return segment.tick + (seconds - segment.seconds) * segment.bpm / 60 * this.state.ppqn;
+    }
+    // Keeps this.bpm and the tempo slider in step with a tempo event at tick 0 after edits, undo or loading.
+    _syncBaseTempo() {
+        const startTempo = this.state.notes.find(n => this._isTempoEvent(n) && n.time === 0);
+        if (startTempo) this.bpm = this._getTempoFromMessage(startTempo.msg);
+        this._updateTempoSlider();
+    }
+    _updateTempoSlider() {
+        const playbackTab = this.drawer && this.drawer.tabs['Playback'];
+        const tempoSlider = playbackTab && playbackTab.flatMap(r => r.controls).find(c => c.id === 'bpm');
+        if (tempoSlider) tempoSlider.slider.value = Math.round(this.bpm);
+    }
+
+    // --- TIME SIGNATURES ---
+    // Shows the meter at the playhead in the Time Sig dropdown after loading or undo; a meter
+    // from a file that isn't in the list is added to it.
+    _syncTimeSignatureControl() {
+        const playbackTab = this.drawer && this.drawer.tabs['Playback'];
+        const control = playbackTab && playbackTab.flatMap(r => r.controls).find(c => c.id === 'timeSignature');
+        if (!control) return;
+        const current = this._getTimeSignatureMap().filter(t => t.tick <= this.state.playheadTick).pop();
+        const signature = `${current.numerator}/${current.denominator}`;
+        if (!control.options.some(o => o.value === signature)) control.options = [...control.options, { text: signature, value: signature }];
+        control.selectedValue = signature;
+    }
+    _isTimeSignatureEvent(ev) {
+        return ev.type === 'other' && Array.isArray(ev.msg) && ev.msg[0] === 0xFF && ev.msg[1] === 0x58;
+    }
+    // The denominator is stored as a power of two; the metronome clicks once per counted beat.
+    _makeTimeSignatureMessage(numerator, denominator) {
+        const clocksPerClick = this._getBeatTicks({ numerator, denominator }, 24);
+        return [0xFF, 0x58, 0x04, numerator, Math.round(Math.log2(denominator)), clocksPerClick, 8];
+    }
+    _getTimeSignatureMap() {
+        return this._getTimingCache().signatures;
+    }
+    _buildTimeSignatureMap() {
+        const changes = this.state.notes
+            .filter(n => this._isTimeSignatureEvent(n))
+            .map(n => ({ tick: n.time, numerator: n.msg[3], denominator: 1 << n.msg[4] }))
+            .sort((a, b) => a.tick - b.tick);
+        if (changes.length === 0 || changes[0].tick > 0) changes.unshift({ tick: 0, numerator: 4, denominator: 4 });
+        return changes;
+    }
+    // Compound meters (6/8, 9/8, 12/8) are counted in dotted beats.
+    _getBeatTicks(signature, ppqn = this.state.ppqn) {
+        const unit = ppqn * 4 / signature.denominator;
+        const isCompound = signature.denominator >= 8 && signature.numerator > 3 && signature.numerator % 3 === 0;
+        return isCompound ? unit * 3 : unit;
+    }
+    /**
+     * Returns every bar starting before endTick, numbered from 1, with its length and beat length in ticks.
+     * A time-signature change that lands mid-bar cuts that bar short.
+     */
+    _getBars(endTick) {
+        const ppqn = this.state.ppqn;
+        const { signatures, bars } = this._getTimingCache();
+        const last = bars[bars.length - 1];
+        let tick = last ? last.tick + last.barTicks : 0, index = 0;
+        while (tick < endTick) {
+            while (index + 1 < signatures.length && signatures[index + 1].tick <= tick) index++;
+            const signature = signatures[index];
+            let barTicks = signature.numerator * ppqn * 4 / signature.denominator;
+            const next = signatures[index + 1];
+            if (next && next.tick < tick + barTicks) barTicks = next.tick - tick;
+            bars.push({
+                tick, number: bars.length + 1, barTicks,
+                numerator: signature.numerator, denominator: signature.denominator,
+                beatTicks: this._getBeatTicks(signature)
+            });
+            tick += barTicks;
+        }
+        // The cached list may run past endTick; find where to cut it
+        let low = 0, high = bars.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (bars[mid].tick < endTick) low = mid + 1;
+            else high = mid;
+        }
+        return bars.slice(0, low);
+    }
+
     // --- UNDO/REDO ---
     _saveStateForUndo() { 
         this.state.redoHistory = []; 
@@ -1326,6 +3702,25 @@ class PianoRoll {
     _getClientHeight() {
         return this.canvas.clientHeight - this.drawer.getHeight();
     }
+    _getLaneHeight() {
+        return this.state.laneVisible ? this.state.laneHeight : 0;
+    }
+    // The lower edge of the note grid: the lane sits between the grid and the horizontal scrollbar.
+    _getGridBottom() {
+        return this._getClientHeight() - this.config.scrollbarSize - this._getLaneHeight();
+    }
+    _getLaneRect() {
+        if (!this.state.laneVisible) return null;
+        return {
+            x: 0,
+            y: this._getGridBottom(),
+            width: this._getClientWidth() - this.config.scrollbarSize,
+            height: this.state.laneHeight
+        };
+    }
+    isPointInRect(x, y, rect) {
+        return rect && x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+    }
     _tickToPixel(tick) { return (tick / this.state.ppqn) * this.config.beatWidth; }
     _pixelToTick(pixel) {
         return (pixel / this.config.beatWidth) * this.state.ppqn;
@@ -1339,7 +3734,7 @@ class PianoRoll {
         return { x, y, w, h }; 
     }
     _getNoteAt(x, y) { 
-        if (y < this.config.timelineHeight) return null; 
+        if (y < this.config.timelineHeight || y >= this._getGridBottom()) return null; 
         const gridPos = this._getGridPos({x, y}); 
         return this.state.notes.filter(n => !this.state.hiddenChannels.has(n.channel)).slice().reverse().find(n => {
             const r = this._getNoteRect(n); 
@@ -1357,11 +3752,28 @@ class PianoRoll {
             pitch: Math.max(0, Math.min(127, pitch)) 
         }; 
     }
-    _getCursorStyle(pos) { 
+    /**
+     * Returns the grid position nearest to a tick. Every second grid step is pushed
+     * later by the swing amount; at 100% swing the offbeat lands a third of a step late,
+     * which turns straight pairs into a triplet shuffle.
+     */
+    _quantizeTick(tick, grid, swing = 0) {
+        const index = Math.round(tick / grid);
+        const swingOffset = (index % 2 === 1) ? (swing / 100) * (grid / 3) : 0;
+        return index * grid + swingOffset;
+    }
+    _getCursorStyle(pos, shiftKey = false) { 
         const canDragPlayhead = this.state.mode === 'add' || this.state.mode === 'select';
+        const loopHit = pos.y < this.config.timelineHeight && pos.x > this.config.keysWidth ? this._getLoopHitAt(pos, shiftKey) : null;
+        if (loopHit) return loopHit === 'move' ? 'grab' : 'col-resize';
         if (pos.y < this.config.timelineHeight && pos.x > this.config.keysWidth && canDragPlayhead) { 
             return 'ew-resize'; 
         } 
+        const lane = this._getLaneRect();
+        if (lane && this.isPointInRect(pos.x, pos.y, lane)) {
+            if (pos.y < lane.y + this.config.laneHandleHeight) return 'ns-resize';
+            return pos.x > this.config.keysWidth ? 'crosshair' : 'default';
+        }
         if (this.state.mode === 'pan') { 
             return this.state.isPanning ? 'grabbing' : 'grab'; 
         } 
@@ -1397,6 +3809,7 @@ class PianoRoll {
             h: m.h
         }; 
         s.selectedNotes = s.notes.filter(note => { 
+            if (note.type === 'other' || s.hiddenChannels.has(note.channel)) return false;
             const noteRect = this._getNoteRect(note); 
             return !(noteRect.x > marqueeGrid.x + marqueeGrid.w || 
                         noteRect.x + noteRect.w < marqueeGrid.x || 
@@ -1409,7 +3822,7 @@ class PianoRoll {
         const maxScrollX = Math.max(0, (c.beatWidth * c.totalBeats) - 
                             (this._getClientWidth() - c.keysWidth - c.scrollbarSize)); 
         const maxScrollY = Math.max(0, (c.noteHeight * c.totalPitches) - 
-                            (this._getClientHeight() - c.timelineHeight - c.scrollbarSize)); 
+                            (this._getGridBottom() - c.timelineHeight)); 
         s.scrollX = Math.max(0, Math.min(s.scrollX, maxScrollX)); 
         s.scrollY = Math.max(0, Math.min(s.scrollY, maxScrollY)); 
     }
@@ -1426,12 +3839,12 @@ class PianoRoll {
                     const nOn = openNotes[key]; 
                     notes.push({ 
                         pitch: nOn.pitch, velocity: nOn.velocity, channel: nOn.channel, 
-                        start_tick: nOn.time, duration_ticks: msg.time - nOn.time, type: 'note'
+                        start_tick: nOn.time, duration_ticks: msg.time - nOn.time, type: 'note', track: nOn.track
                     }); 
                     delete openNotes[key]; 
                 } 
             } else if (msg.type === 'other') {
-                notes.push({ time: msg.time, msg: msg.msg, type: 'other'})
+                notes.push({ time: msg.time, msg: msg.msg, type: 'other', channel: msg.channel, eventType: msg.eventType, track: msg.track });
             } 
         }); 
         return notes; 
@@ -1440,16 +3853,16 @@ class PianoRoll {
         const messages = []; 
         notes.forEach(n => { 
             if (n.type === 'other') {
-                messages.push({ type: 'other', time: n.time, msg: n.msg });
+                messages.push({ type: 'other', time: n.time, msg: n.msg, channel: n.channel, eventType: n.eventType, track: n.track });
                 return;
             }
             messages.push({ 
                 type: 'noteOn', pitch: n.pitch, velocity: n.velocity, 
-                time: n.start_tick, channel: n.channel || 0, 
+                time: n.start_tick, channel: n.channel || 0, track: n.track 
             }); 
             messages.push({ 
                 type: 'noteOff', pitch: n.pitch, velocity: 0, 
-                time: n.start_tick + n.duration_ticks, channel: n.channel || 0, 
+                time: n.start_tick + n.duration_ticks, channel: n.channel || 0, track: n.track 
             }); 
         }); 
         messages.sort((a, b) => { 
@@ -0,0 +1,81 @@
+/**
+ * SongStore
+ * Keeps PianoRoll compositions in IndexedDB so they survive a reload. Each song is stored as
+ * { id, name, updated, project, undoHistory, redoHistory }, where project comes from
+ * PianoRoll.saveProject(). Every method returns a Promise and rejects if IndexedDB is unavailable.
+ */
+class SongStore {
+    /**
+     * @param {string} [dbName] - Name of the IndexedDB database.
+     */
+    constructor(dbName = 'pianoroll-songs') {
+        this.dbName = dbName;
+        this.STORE_NAME = 'songs';
+        this.dbPromise = null;
+    }
+
+    _open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available.'));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Runs one request in its own transaction and resolves with its result once the transaction commits.
+    async _request(mode, makeRequest) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.STORE_NAME, mode);
+            const request = makeRequest(transaction.objectStore(this.STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Adds or replaces a song and stamps it with the current time.
+     * @param {object} song - { id, name, project, undoHistory, redoHistory }
+     */
+    saveSong(song) {
+        return this._request('readwrite', store => store.put({ ...song, updated: Date.now() }));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<object|undefined>} The stored song, or undefined if there is none.
+     */
+    getSong(id) {
+        return this._request('readonly', store => store.get(id));
+    }
+
+    /**
+     * @returns {Promise<Array<{id: string, name: string, updated: number}>>} Every song, most recently saved first.
+     */
+    async listSongs() {
+        const songs = await this._request('readonly', store => store.getAll());
+        return songs
+            .map(({ id, name, updated }) => ({ id, name, updated }))
+            .sort((a, b) => b.updated - a.updated);
+    }
+
+    async renameSong(id, name) {
+        const song = await this.getSong(id);
+        if (!song) return;
+        song.name = name;
+        await this._request('readwrite', store => store.put(song));
+    }
+
+    deleteSong(id) {
+        return this._request('readwrite', store => store.delete(id));
+    }
+}
@@ -5,7 +5,6 @@ document.addEventListener('DOMContentLoaded', () => {
     const contentWrapper = document.querySelector('.content-wrapper');
 
     let isDragging = false;
-    let midiOutput = null; 
 
     // --- Dragger Logic ---
     const startDragging = (e) => {
@@ -70,11 +69,12 @@ document.addEventListener('DOMContentLoaded', () => {
     document.body.addEventListener('touchstart', unlockAudio);
     document.body.addEventListener('keydown', unlockAudio);
 
+    // Sent as MIDI so that note previews also reach the enabled MIDI outputs
     const noteOn = (note) => {
-        synth.noteOn(note.channel || 0, note.pitch, note.velocity);
+        synth.send([0x90 | (note.channel || 0), note.pitch, note.velocity]);
     };
     const noteOff = (note) => {
-        synth.noteOff(note.channel || 0, note.pitch);
+        synth.send([0x80 | (note.channel || 0), note.pitch, 0]);
     };
     const sendMidiMessage = (msg) => {
         synth.send(msg);
@@ -84,8 +84,10 @@ document.addEventListener('DOMContentLoaded', () => {
     window.onMidiMessage = sendMidiMessage;
     
     // Initialize Piano Roll
+    const songStore = new SongStore();
     const pianoRoll = new PianoRoll(pianoRollCanvas,{ 
         synth: synth,
+        songStore: songStore,
         onPlayNote: noteOn,
         onStopNote: noteOff,
         onMidiMessage: sendMidiMessage,
@@ -102,21 +104,20 @@ document.addEventListener('DOMContentLoaded', () => {
         const messageHex = Array.from(message).map(b => '0x' + b.toString(16).padStart(2, '0')).join(' ');
         console.log(`MIDI from ${deviceName}: [${messageHex}]`);
         
-        // Send to the Piano Roll's synthesizer
+        // Send to the Piano Roll's synthesizer, which passes it on to the enabled MIDI outputs
         pianoRoll.handleMidiMessage(message);
-
-        // If an external MIDI output is selected, send the message there too.
-        if (midiOutput) {
-            midiOutput.send(message);
-        }
     }
 
     // Initialize Keyboard, passing the central MIDI handler as its callback.
     const keyboard = new PianoKeyboard({ 
         canvas: keyboardCanvas, 
-        midiCallback: handleMidiMessage 
+        midiCallback: handleMidiMessage,
+        onSettingsChange: () => pianoRoll.refreshScaleOptions() // Scales made on the keyboard are offered in the piano roll
     });
     window.keyboard = keyboard;
+    pianoRoll.refreshScaleOptions();
+    keyboard.enableMidiDevices(synth); // Lists the MIDI ports in the keyboard's MIDI tab
+    pianoRoll.keyboard = keyboard; // Project files include the keyboard settings and drum patterns
 
     // Add some default notes to the piano roll for demonstration
     const defaultNotes = [ 
@@ -128,4 +129,19 @@ document.addEventListener('DOMContentLoaded', () => {
         { type: 'noteOff', pitch: 64, time: 288, channel: 2 }, 
     ];
     pianoRoll.loadFromJson(defaultNotes, 96);
+
+    // Offer to bring back the composition that was being edited when the page was last closed
+    songStore.listSongs().then(async (songs) => {
+        if (songs.length === 0) return;
+        const lastSong = songs[0];
+        pianoRoll.drawer.dialogs['Confirm'][0].controls[0].label = `Restore "${lastSong.name}" from your last session?`;
+        if (!(await pianoRoll.drawer.openDialog('Confirm'))) return;
+        try {
+            await pianoRoll.openSong(lastSong.id);
+        } catch (err) {
+            console.error('Failed to restore song.', err);
+            pianoRoll.drawer.dialogs['Error'][0].controls[0].label = `"${lastSong.name}" could not be restored.`;
+            await pianoRoll.drawer.openDialog('Error');
+        }
+    }).catch(err => console.warn('Saved songs are not available.', err));
 });
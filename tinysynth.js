@@ -749,6 +749,7 @@ function WebAudioTinySynth(opt){
       this.autoGainInstruments = [ 32 ];	// nobody can hear these so amplify them
       this.autoGainMaxes = { };  // maximums for all samples so we can turn auto gain or off at any time
       this.selectedInputs = [ "internal" ]; this.selectedOutputs = ["internal"];
+      this.customScaleTypes = [ ];   // user-defined scales, see setCustomScaleTypes
       this.availableQualities = [true,true,false];   // array of 0-2 indicating which qualities are available.  You have to load at least one instrument successfully, then Quality 2 turns on.  Quality 0/1 turn off for Internet Explorer since it can ONLY do samples.
       this.maxTick=0, this.playTick=0, this.playing=0; this.releaseRatio=3.5;
       this.programOverride = { };   // here we store custom overrides and redirects for particular instruments.  they can redirect to external devices OR custom instrument modules like the drawbar organ one above
@@ -762,7 +763,7 @@ function WebAudioTinySynth(opt){
       /**/
       this.preroll=0.2;
       this.relcnt=0;
-      setInterval(
+      this.pruneTimer=setInterval(
         function(){
           if(++this.relcnt>=3){
             this.relcnt=0;
@@ -968,6 +969,12 @@ function WebAudioTinySynth(opt){
       };
       asyncRecurse(i, mysynth, instNumArray, callbackErr, callbackSuccess, callbackProgress);
     },
+    dispose:function(){		// stops the voice-pruning/playback interval so a synth that is no longer needed can be garbage collected
+      clearInterval(this.pruneTimer);
+      this.pruneTimer=null;
+      this.playing=0;
+      this.notetab.length=0;
+    },
     /**/
     setMasterVol:function(v){
       if(v!=undefined)
@@ -1157,6 +1164,9 @@ function WebAudioTinySynth(opt){
               var val = Math.floor(60000000 / Get3(s, i + 3));
               song.ev.push({t:tick, m:[0xff51, val]});
               break;
+            case 0x58:
+              song.ev.push({t:tick, m:[0xff58, s[i + datastart], 1 << s[i + datastart + 1]]});
+              break;
             }
             break;
           }
@@ -1701,7 +1711,8 @@ function WebAudioTinySynth(opt){
       var cmd=msg[0]&~0xf;
       if(cmd<0x80||cmd>=0x100)
         return;
-      if(this.audioContext.state=="suspended"){
+      // An offline context starts with startRendering(); resume() rejects before that
+      if(this.audioContext.state=="suspended" && !(typeof OfflineAudioContext!="undefined" && this.audioContext instanceof OfflineAudioContext)){
         this.audioContext.resume();
       }
       switch(cmd){
@@ -2391,26 +2402,57 @@ function WebAudioTinySynth(opt){
 	//------ DW: Code for determining things about chords to help with auto accompaniment
 	getChordTypes: function() {
 		return [
-			{type:"M",notes:[0,4,7],scale:"M"},
-			{type:"m",notes:[0,3,7],scale:"m"},
-			{type:"M7",notes:[0,4,7,11],scale:"M"},
-			{type:"7",notes:[0,4,7,10],scale:"M"},
-			{type:"m7",notes:[0,3,7,10],scale:"m"},
-			{type: "dim",notes:[0,3,6],scale:"dim"},
-			{type:"aug",notes:[0,4,8],scale:"aug"},
-			{type:"sus4",notes:[0,5,7],scale:"M"},
-			{type:"sus2",notes:[0,2,7],scale:"M"}
+			{type:"M",fullName:"Major",notes:[0,4,7],scale:"M"},
+			{type:"m",fullName:"Minor",notes:[0,3,7],scale:"m"},
+			{type:"M7",fullName:"Major 7th",notes:[0,4,7,11],scale:"M"},
+			{type:"7",fullName:"Dominant 7th",notes:[0,4,7,10],scale:"M"},
+			{type:"m7",fullName:"Minor 7th",notes:[0,3,7,10],scale:"m"},
+			{type: "dim",fullName:"Diminished",notes:[0,3,6],scale:"dim"},
+			{type:"aug",fullName:"Augmented",notes:[0,4,8],scale:"aug"},
+			{type:"sus4",fullName:"Suspended 4th",notes:[0,5,7],scale:"M"},
+			{type:"sus2",fullName:"Suspended 2nd",notes:[0,2,7],scale:"M"},
+			{type:"dim7",fullName:"Diminished 7th",notes:[0,3,6,9],scale:"dim"},
+			{type:"m7b5",fullName:"Half-Diminished",notes:[0,3,6,10],scale:"dim"},
+			{type:"9",fullName:"Dominant 9th",notes:[0,4,7,10,14],scale:"M"},
+			{type:"M9",fullName:"Major 9th",notes:[0,4,7,11,14],scale:"M"},
+			{type:"m9",fullName:"Minor 9th",notes:[0,3,7,10,14],scale:"m"},
+			{type:"11",fullName:"Dominant 11th",notes:[0,4,7,10,14,17],scale:"M"},
+			{type:"m11",fullName:"Minor 11th",notes:[0,3,7,10,14,17],scale:"m"}
 		];
 	},
 	getScaleTypes: function() {
+		// the shared scale catalog: the PianoKeyboard and PianoRoll scale menus are built from this list.
+		// chord records from getChord refer to the M, m, dim and aug scales by type.
 		return [
-			{type:"M",fullName:"Major",notes:[0,2,4,5,7,9,11]},
-			{type:"m",fullName:"Minor",notes:[0,2,3,5,7,8,10]},
-			{type:"dim",fullName:"Diminished",notes:[0, 2, 3, 5, 6, 8, 9, 11]},
-			{type:"aug",fullName:"Augmented",notes:[0, 3, 4, 7, 8, 11]},
-			{type:"b",fullName:"Blues",notes:[0,3,5,6,7,10,11]},
-			{type:"p",fullName:"Pentatonic",notes:[0,2,5,7,9,7,9]},
-		];
+			{type:"M",fullName:"Major (Ionian)",notes:[0,2,4,5,7,9,11]},
+			{type:"m",fullName:"Minor (Aeolian)",notes:[0,2,3,5,7,8,10]},
+			{type:"dorian",fullName:"Dorian",notes:[0,2,3,5,7,9,10]},
+			{type:"phrygian",fullName:"Phrygian",notes:[0,1,3,5,7,8,10]},
+			{type:"lydian",fullName:"Lydian",notes:[0,2,4,6,7,9,11]},
+			{type:"mixolydian",fullName:"Mixolydian",notes:[0,2,4,5,7,9,10]},
+			{type:"locrian",fullName:"Locrian",notes:[0,1,3,5,6,8,10]},
+			{type:"harmonicMinor",fullName:"Harmonic Minor",notes:[0,2,3,5,7,8,11]},
+			{type:"melodicMinor",fullName:"Melodic Minor",notes:[0,2,3,5,7,9,11]},
+			{type:"p",fullName:"Major Pentatonic",notes:[0,2,4,7,9]},
+			{type:"minorPentatonic",fullName:"Minor Pentatonic",notes:[0,3,5,7,10]},
+			{type:"b",fullName:"Blues",notes:[0,3,5,6,7,10]},
+			{type:"wholeTone",fullName:"Whole Tone",notes:[0,2,4,6,8,10]},
+			{type:"dim",fullName:"Diminished (Whole-Half)",notes:[0,2,3,5,6,8,9,11]},
+			{type:"dimHalfWhole",fullName:"Diminished (Half-Whole)",notes:[0,1,3,4,6,7,9,10]},
+			{type:"aug",fullName:"Augmented",notes:[0,3,4,7,8,11]},
+			{type:"hungarianMinor",fullName:"Hungarian Minor",notes:[0,2,3,6,7,8,11]},
+			{type:"phrygianDominant",fullName:"Phrygian Dominant",notes:[0,1,4,5,7,8,10]},
+			{type:"doubleHarmonic",fullName:"Double Harmonic",notes:[0,1,4,5,7,8,11]},
+			{type:"hirajoshi",fullName:"Hirajoshi",notes:[0,2,3,7,8]},
+			{type:"inSen",fullName:"In Sen",notes:[0,1,5,7,10]},
+			{type:"bebopDominant",fullName:"Bebop Dominant",notes:[0,2,4,5,7,9,10,11]},
+			{type:"bebopMajor",fullName:"Bebop Major",notes:[0,2,4,5,7,8,9,11]},
+			{type:"chromatic",fullName:"Chromatic",notes:[0,1,2,3,4,5,6,7,8,9,10,11]},
+		].concat(this.customScaleTypes || []);
+	},
+	setCustomScaleTypes: function(scaleTypes) {
+		// adds user-defined scales, in the same form as getScaleTypes entries, to the end of the catalog
+		this.customScaleTypes = scaleTypes.slice(0);
 	},
 	getPitchBitmap: function(accompArray) {
 		// reduces a set of Midi Note Numbers to a bitmap 16 bit (or technically 12 bit) integer that 
@@ -2421,7 +2463,7 @@ function WebAudioTinySynth(opt){
 		// based on an array of notes held down for accompaniment, determines the chord
 		try {
 			if (accompArray.length<3) return [];	
-			var notes = accompArray.map(n=>n).sort();  // clone the array and sort it so lowest note is first
+			var notes = accompArray.map(n=>n).sort((a,b)=>a-b);  // clone the array and sort it so lowest note is first
 			var pitches = notes.map(p => p % 12);
 			var pitchBits = this.getPitchBitmap(accompArray);
 			var minOct = (accompArray.map(p => Math.floor(p/12)).reduce((a,v) => (v<a ? v : a)));
@@ -2516,21 +2558,24 @@ function WebAudioTinySynth(opt){
 	},
 	fromScalePositionArray: function(scalePositionArray,scaleRootNote,scaleType,scaleOffset) {
 		try {
-			if (!scaleOffset) scaleOffset = 0;  // if no offset parameter provided, same as zero offset.  The offset lets you e.g. transpose from C major to C major with a starting note of F for translating an accompaniment to an F chord when your melody is still in C.  The offset is the number of SCALE positions, not half steps -- e.g. for C -> F in C Major it is 3.
-			scaleOffset = scaleOffset % 12;
-			if (scaleOffset < 0) scaleOffset = 7 - scaleOffset;
+			if (!scaleOffset) scaleOffset = 0;  // if no offset parameter provided, same as zero offset.  The offset lets you e.g. transpose from C major to C major with a starting note of F for translating an accompaniment to an F chord when your melody is still in C.  The offset is the number of SCALE positions, not half steps -- e.g. for C -> F in C Major it is 3.  It can be negative, and larger than the scale.
+			var scaleLength = this.getScale(scaleType).notes.length;  // positions wrap into the next octave after this many steps
 			var destScalePositionArray = this.toScalePositionArray(scaleRootNote,scaleType);
 			var outArray = [];
 			for (var i = 0; i < scalePositionArray.length; i++) {
 				var ss = scalePositionArray[i][0]; var soct = scalePositionArray[i][1]; var sp = scalePositionArray[i][2];
 				if (scaleOffset != 0) {
 					ss = ss + scaleOffset;
-					if (ss >= 7) { ss = ss % 7; soct += 1; }
+					soct += Math.floor(ss / scaleLength);
+					ss = ((ss % scaleLength) + scaleLength) % scaleLength;
 				}
+				// Find the scale degree itself, then add back the half steps of a note that is not in the scale.
+				// The destination degree may have no note at the same chromatic offset (C# is C+1, but E+1 is F).
 				for (var j = 0; j < destScalePositionArray.length; j++) {
 					var ds = destScalePositionArray[j][0];  var doct = destScalePositionArray[j][1]; var dp = destScalePositionArray[j][2];
-					if (ss==ds && soct==doct && sp==dp) {
-						outArray[i] = j; break;
+					if (ss==ds && soct==doct && dp==0) {
+						if (j+sp >= 0 && j+sp < 128) outArray[i] = j+sp;
+						break;
 					}
 				}
 			}
@@ -2765,6 +2810,8 @@ function WebAudioTinySynth(opt){
       this.setQuality(opt.quality);
     if(opt.voices!=undefined)
       this.setVoices(opt.voices);
+    if(opt.internalcontext!=undefined)
+      this.internalcontext=opt.internalcontext;   // 0 = don't create an AudioContext; call setAudioContext yourself (e.g. with an OfflineAudioContext)
   }
   this.ready();
 }